@@ -0,0 +1,150 @@
+// accounts.js
+// Account lifecycle across modules: auth.js owns the account status, but
+// disabling or closing an account also has to pull the user's resting orders
+// and, on closure, settle their cash balance. The export gathers everything
+// the exchange keeps about one user.
+const {
+    getRole,
+    getCollateral,
+    getAccountStatus,
+    setAccountStatus,
+    getStpMode,
+    listDnaSamples
+} = require('./auth');
+const {
+    cancelAllOrdersV1,
+    cancelAllOrdersV2,
+    getOrdersForUser,
+    computePotentialBalance,
+    remainingQuantity
+} = require('./orders');
+const { getTradesForUser, getOpenPositions, getBalance, setBalance } = require('./trades');
+const clock = require('./clock');
+
+/****************************
+ * LIFECYCLE
+ ****************************/
+// Resting orders of both APIs; returns the cancelled ids
+function cancelAllOrders(username) {
+    return cancelAllOrdersV2(username).concat(cancelAllOrdersV1(username));
+}
+
+/**
+ * Blocks logins and API keys for `username`, ends their sessions and
+ * cancels their resting orders. Returns the cancelled order ids.
+ */
+function disableAccount(actor, username) {
+    const result = setAccountStatus(actor, username, 'disabled');
+    if (!result.ok) return result;
+    return { ok: true, cancelledOrderIds: cancelAllOrders(username) };
+}
+
+function enableAccount(actor, username) {
+    return setAccountStatus(actor, username, 'active');
+}
+
+/**
+ * Closes an account for good. Only possible once the user is flat in every
+ * contract still to be delivered; the remaining cash balance is paid out
+ * (set to 0) and reported back as `settledBalance`.
+ */
+function closeAccount(actor, username) {
+    const status = getAccountStatus(username);
+    if (!status) return { ok: false, status: 404, message: 'User not found' };
+    if (status === 'closed') return { ok: false, status: 409, message: 'Account closed' };
+
+    if (getOpenPositions(username).length > 0) {
+        return { ok: false, status: 409, message: 'Open positions remain' };
+    }
+
+    const result = setAccountStatus(actor, username, 'closed');
+    if (!result.ok) return result;
+
+    const cancelledOrderIds = cancelAllOrders(username);
+    const settledBalance = getBalance(username);
+    if (settledBalance !== 0) setBalance(username, 0);
+
+    return { ok: true, cancelledOrderIds, settledBalance };
+}
+
+/****************************
+ * EXPORT
+ ****************************/
+/**
+ * Everything kept about `username`, in API field names: all of their orders,
+ * open and closed (the order archive survives journal compaction), and all
+ * of their trades. The balance history is the running balance after each of
+ * the user's trades.
+ */
+function exportAccount(username) {
+    const collateral = getCollateral(username);
+
+    const orders = getOrdersForUser(username).map((o) => ({
+        order_id: o.orderId,
+        side: o.side.toLowerCase(),
+        order_type: o.orderType || 'LIMIT',
+        price: o.price,
+        trigger_price: o.triggerPrice,
+        quantity: remainingQuantity(o),
+        display_quantity: o.displayQuantity,
+        expires_at: o.expiresAt,
+        stp_mode: o.stpMode,
+        original_quantity: o.originalQuantity,
+        delivery_start: o.deliveryStart,
+        delivery_end: o.deliveryEnd,
+        status: o.status,
+        v2: o.isV2 ? 1 : 0,
+        timestamp: o.createdAt
+    }));
+
+    const trades = [];
+    const balanceHistory = [];
+    let running = 0;
+    for (const t of getTradesForUser(username)) {
+        const isBuyer = t.buyerId === username;
+        const amount = t.price * t.quantity;
+        // Trading with yourself leaves the balance unchanged
+        if (isBuyer) running -= amount;
+        if (t.sellerId === username) running += amount;
+
+        trades.push({
+            trade_id: t.tradeId,
+            side: isBuyer ? 'buy' : 'sell',
+            price: t.price,
+            quantity: t.quantity,
+            counterparty: isBuyer ? t.sellerId : t.buyerId,
+            delivery_start: t.delivery_start,
+            delivery_end: t.delivery_end,
+            timestamp: t.timestamp
+        });
+        balanceHistory.push({ trade_id: t.tradeId, balance: running, timestamp: t.timestamp });
+    }
+
+    const dnaSamples = listDnaSamples(username).map((s) => ({
+        fingerprint: s.fingerprint,
+        codons: s.len,
+        created_at: s.createdAt
+    }));
+
+    return {
+        username,
+        role: getRole(username),
+        status: getAccountStatus(username),
+        collateral: collateral === null ? -1 : collateral,
+        stp_mode: getStpMode(username),
+        balance: getBalance(username),
+        potential_balance: computePotentialBalance(username),
+        exported_at: clock.now(),
+        orders,
+        trades,
+        balance_history: balanceHistory,
+        dna_samples: dnaSamples
+    };
+}
+
+module.exports = {
+    disableAccount,
+    enableAccount,
+    closeAccount,
+    exportAccount
+};
@@ -0,0 +1,243 @@
+// audit.js
+// Append-only audit trail of every state-changing request: who sent it, from
+// where, what it asked for (secrets redacted) and how it was answered.
+//
+// Entries are appended as JSON lines to PERSISTENT_DIR/audit.log. The newest
+// AUDIT_MEMORY_LIMIT entries are also kept in memory for the admin query
+// route; the file itself is never compacted, and startup only reads its tail.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const clock = require('./clock');
+
+const PERSISTENT_DIR = process.env.PERSISTENT_DIR;
+const AUDIT_FILE = PERSISTENT_DIR ? path.join(PERSISTENT_DIR, 'audit.log') : null;
+const AUDIT_MEMORY_LIMIT = Number(process.env.AUDIT_MEMORY_LIMIT) || 100000;
+const TAIL_CHUNK_BYTES = 1024 * 1024;
+
+// Field names whose values never reach the log, at any depth
+const REDACTED_FIELDS = new Set([
+    'password',
+    'old_password',
+    'new_password',
+    'totp',
+    'token',
+    'refresh_token',
+    'participant_token',
+    'dna_sample',
+    'signing_secret'
+]);
+
+const entries = []; // oldest first
+let lastId = 0;
+let fd = null;
+
+/****************************
+ * REDACTION
+ ****************************/
+function redact(value) {
+    if (Buffer.isBuffer(value)) return '[' + value.length + ' bytes]';
+    if (Array.isArray(value)) return value.map(redact);
+    if (!value || typeof value !== 'object') return value;
+
+    const out = {};
+    for (const [k, v] of Object.entries(value)) {
+        out[k] = REDACTED_FIELDS.has(k) ? '[redacted]' : redact(v);
+    }
+    return out;
+}
+
+/****************************
+ * RECORDING
+ ****************************/
+/**
+ * Appends one entry: { action, actor, ip, requestId, fields, status, detail?,
+ * timestamp? }.
+ * `fields` is redacted here, callers pass the decoded request as is.
+ */
+function recordAudit(entry) {
+    lastId += 1;
+    const stored = {
+        id: lastId,
+        timestamp: entry.timestamp || clock.now(),
+        action: entry.action,
+        actor: entry.actor || null,
+        ip: entry.ip || null,
+        requestId: entry.requestId || null,
+        fields: redact(entry.fields || {}),
+        status: entry.status
+    };
+    if (entry.detail) stored.detail = entry.detail;
+
+    entries.push(stored);
+    if (entries.length > AUDIT_MEMORY_LIMIT) entries.shift();
+
+    if (fd !== null) {
+        try {
+            fs.writeSync(fd, JSON.stringify(stored) + '\n');
+        } catch (err) {
+            console.error('Failed to write audit entry:', err.message);
+        }
+    }
+    return stored;
+}
+
+function requestIdOf(req) {
+    const given = req.headers['x-request-id'];
+    if (typeof given === 'string' && given.length > 0 && given.length <= 128) return given;
+    return crypto.randomUUID();
+}
+
+/**
+ * Express middleware that audits every non-GET request once its response
+ * has been sent. Handlers may add `res.locals.audit = { actor?, detail? }`
+ * when the actor is not simply req.user (or the username in the body).
+ * Every response carries the request id as X-Request-Id.
+ */
+function auditMiddleware(req, res, next) {
+    const requestId = requestIdOf(req);
+    const timestamp = clock.now();
+    res.set('X-Request-Id', requestId);
+    if (req.method === 'GET' || req.method === 'HEAD' || req.method === 'OPTIONS') return next();
+
+    res.on('finish', () => {
+        const fields = Object.assign({}, req.params, req.galactic || {});
+        const extra = res.locals.audit || {};
+        recordAudit({
+            timestamp,
+            action: req.method + ' ' + (req.route ? req.route.path : req.path),
+            actor: extra.actor || req.user || (typeof fields.username === 'string' ? fields.username : null),
+            ip: req.ip,
+            requestId,
+            fields,
+            status: res.statusCode,
+            detail: extra.detail
+        });
+    });
+    return next();
+}
+
+/****************************
+ * QUERY
+ ****************************/
+/**
+ * Entries with id > afterId, oldest first, optionally filtered by actor and
+ * action. `nextAfterId` is the cursor for the next page (null at the end).
+ */
+function queryAudit({ afterId = 0, limit = 100, actor = null, action = null } = {}) {
+    // Ids ascend, so binary search for the first entry after the cursor
+    let lo = 0;
+    let hi = entries.length;
+    while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (entries[mid].id <= afterId) lo = mid + 1;
+        else hi = mid;
+    }
+
+    const page = [];
+    let more = false;
+    for (let i = lo; i < entries.length; i++) {
+        const e = entries[i];
+        if (actor !== null && e.actor !== actor) continue;
+        if (action !== null && e.action !== action) continue;
+        if (page.length === limit) {
+            more = true;
+            break;
+        }
+        page.push(e);
+    }
+
+    return {
+        entries: page,
+        nextAfterId: more ? page[page.length - 1].id : null
+    };
+}
+
+/****************************
+ * STARTUP
+ ****************************/
+// Bytes up to and including the last newline; anything after it is a torn
+// line from a crash mid-write.
+function completeLength(afd, size) {
+    let pos = size;
+    while (pos > 0) {
+        const len = Math.min(TAIL_CHUNK_BYTES, pos);
+        pos -= len;
+        const chunk = Buffer.alloc(len);
+        fs.readSync(afd, chunk, 0, len, pos);
+        const nl = chunk.lastIndexOf(0x0a);
+        if (nl !== -1) return pos + nl + 1;
+    }
+    return 0;
+}
+
+// The last `limit` entries before byte `end`, oldest first. The file is read
+// backwards in chunks, so startup cost does not grow with the log.
+function readTail(afd, end, limit) {
+    const tail = []; // newest first
+    let carry = Buffer.alloc(0); // start of a line that began in an earlier chunk
+    let pos = end;
+
+    while (pos > 0 && tail.length < limit) {
+        const len = Math.min(TAIL_CHUNK_BYTES, pos);
+        pos -= len;
+        const chunk = Buffer.alloc(len);
+        fs.readSync(afd, chunk, 0, len, pos);
+        const buf = Buffer.concat([chunk, carry]);
+
+        let first = -1;
+        if (pos > 0) {
+            // Everything before the first newline may continue in the next chunk
+            first = buf.indexOf(0x0a);
+            if (first === -1) {
+                carry = buf;
+                continue;
+            }
+            carry = buf.subarray(0, first);
+        }
+
+        const lines = buf.subarray(first + 1).toString('utf8').split('\n');
+        for (let i = lines.length - 1; i >= 0 && tail.length < limit; i--) {
+            if (lines[i] === '') continue;
+            try {
+                tail.push(JSON.parse(lines[i]));
+            } catch (err) {
+                console.error('Skipping unreadable audit log line');
+            }
+        }
+    }
+    return tail.reverse();
+}
+
+// Reloads the tail of the existing log and opens it for appending. A torn
+// last line (crash mid-write) is cut off; ids continue after the last entry.
+function openAuditLog() {
+    if (!PERSISTENT_DIR) return;
+    fs.mkdirSync(PERSISTENT_DIR, { recursive: true });
+
+    if (fs.existsSync(AUDIT_FILE)) {
+        const afd = fs.openSync(AUDIT_FILE, 'r');
+        try {
+            const size = fs.fstatSync(afd).size;
+            const validBytes = completeLength(afd, size);
+            for (const e of readTail(afd, validBytes, AUDIT_MEMORY_LIMIT)) entries.push(e);
+            if (entries.length > 0) lastId = entries[entries.length - 1].id;
+
+            if (validBytes < size) {
+                console.error('Discarding torn audit log tail after id', lastId);
+                fs.truncateSync(AUDIT_FILE, validBytes);
+            }
+        } finally {
+            fs.closeSync(afd);
+        }
+    }
+
+    fd = fs.openSync(AUDIT_FILE, 'a');
+}
+
+module.exports = {
+    recordAudit,
+    auditMiddleware,
+    queryAudit,
+    openAuditLog
+};
@@ -1,166 +1,1138 @@
 // auth.js
 const crypto = require('crypto');
+const { EventEmitter } = require('events');
 const fs = require('fs');
 const path = require('path');
+const journal = require('./journal');
+const dna = require('./dna');
+const clock = require('./clock');
 
 const PERSISTENT_DIR = process.env.PERSISTENT_DIR;
 const AUTH_STATE_FILE = PERSISTENT_DIR
     ? path.join(PERSISTENT_DIR, 'auth-state.json')
     : null;
 
+const ACCESS_TOKEN_TTL_MS = Number(process.env.ACCESS_TOKEN_TTL_MS) || 60 * 60 * 1000;
+const REFRESH_TOKEN_TTL_MS = Number(process.env.REFRESH_TOKEN_TTL_MS) || 30 * 24 * 60 * 60 * 1000;
+// Rotated-out refresh tokens remembered per session for reuse detection
+const RETIRED_REFRESH_LIMIT = 16;
+
+const ROLES = ['trader', 'risk-officer', 'admin'];
+const API_KEY_SCOPES = ['read-market', 'read-account', 'trade', 'bulk'];
+const API_KEY_PREFIX = 'ak_';
+const DEFAULT_ROLE = 'trader';
+
+const ACCOUNT_STATUSES = ['active', 'disabled', 'closed'];
+
 const users = new Map();
-const tokens = new Map();
-const usersDna = new Map();
+const userRoles = new Map(); // username -> role
+const accountStatus = new Map(); // username -> 'disabled' | 'closed'; absent = active
+const usersDna = new Map();  // username -> [{ sig, len, fingerprint, createdAt }]
+const MAX_DNA_SAMPLES_PER_USER = 5;
 const userCollateral = new Map();
+// Self-trade prevention applied to orders without their own stp_mode (the
+// modes are described in orders.js)
+const STP_MODES = ['none', 'cancel-newest', 'cancel-oldest', 'cancel-both', 'decrement-and-cancel'];
+const userStpModes = new Map(); // username -> mode; absent = 'none'
+
+// Login sessions. Only token hashes are kept, so a leaked snapshot or
+// journal cannot be replayed as credentials.
+const sessions = new Map();      // session id -> session
+const accessIndex = new Map();   // access token hash -> session id
+const refreshIndex = new Map();  // refresh token hash -> session id
+
+// API keys, stored the same way: the secret is only ever shown on creation.
+// The HMAC signing secret has to stay readable to verify signatures.
+const apiKeys = new Map();       // key id -> key
+
+const SIGNATURE_MAX_SKEW_MS = Number(process.env.SIGNATURE_MAX_SKEW_MS) || 30000;
+
+// TOTP second factor (RFC 6238: HMAC-SHA1, 6 digits, 30 s steps)
+const TOTP_STEP_MS = 30000;
+const TOTP_DIGITS = 6;
+const TOTP_WINDOW = 1; // steps of clock drift tolerated either way
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'Galactic Energy Exchange';
+const RECOVERY_CODE_COUNT = 10;
+// Brute-force protection. Failures are counted per username and per client
+// address; past the free attempts each further failure locks the key for an
+// exponentially growing period. DNA attempts are expensive (isDnaSimilar on
+// huge samples), so they get a far smaller budget.
+const LOCKOUT_POLICIES = {
+    password: { userFree: 5, ipFree: 20, baseMs: 1000, maxMs: 15 * 60 * 1000 },
+    dna: { userFree: 2, ipFree: 5, baseMs: 30 * 1000, maxMs: 60 * 60 * 1000 }
+};
+// A key's failure count is forgotten after this long without failures
+const FAILURE_DECAY_MS = 60 * 60 * 1000;
+const loginFailures = new Map(); // kind:user|ip:id -> { failures, lockedUntil, lastFailureAt }
+const pendingAttempts = new Map(); // kind:user|ip:id -> attempts still being verified
+
+const userTotp = new Map();      // username -> { secret, confirmed, recoveryHashes }
+const lastTotpStep = new Map();  // username -> last accepted step (no replays)
+const seenNonces = new Map();    // key id + nonce -> time it may be forgotten
+
+// 'sessions-revoked' (username, sessionIds) lets open streams drop theirs
+const authEvents = new EventEmitter();
 
 /****************************
  * LOAD / SAVE PERSISTED STATE
  ****************************/
+// Legacy full-file state, imported once when no journal snapshot exists yet
 function loadAuthState() {
     if (!AUTH_STATE_FILE) return;
     try {
         if (!fs.existsSync(AUTH_STATE_FILE)) return;
         const raw = fs.readFileSync(AUTH_STATE_FILE, 'utf8');
         if (!raw) return;
-        const data = JSON.parse(raw);
+        restoreAuthState(JSON.parse(raw));
+    } catch (err) {
+        console.error('Failed to load auth state:', err.message);
+    }
+}
 
-        // users
-        users.clear();
-        if (data.users && typeof data.users === 'object') {
-            for (const [u, hash] of Object.entries(data.users)) {
-                users.set(u, String(hash));
-            }
+function restoreAuthState(data) {
+    users.clear();
+    userRoles.clear();
+    accountStatus.clear();
+    usersDna.clear();
+    userCollateral.clear();
+    userStpModes.clear();
+    sessions.clear();
+    accessIndex.clear();
+    refreshIndex.clear();
+    apiKeys.clear();
+    userTotp.clear();
+    lastTotpStep.clear();
+    loginFailures.clear();
+    seenNonces.clear();
+    if (!data) return;
+
+    // users
+    if (data.users && typeof data.users === 'object') {
+        for (const [u, hash] of Object.entries(data.users)) {
+            users.set(u, String(hash));
         }
+    }
 
-        // usersDna: previously was raw strings; new format stores objects with sig/len/fingerprint
-        usersDna.clear();
-        if (data.usersDna && typeof data.usersDna === 'object') {
-            for (const [u, arr] of Object.entries(data.usersDna)) {
-                if (Array.isArray(arr)) {
-                    // each element should be { sig: [numbers], len: number, fingerprint: string }
-                    const normalized = [];
-                    for (const s of arr) {
-                        if (s && Array.isArray(s.sig) && Number.isInteger(s.len)) {
-                            normalized.push({
-                                sig: s.sig.map(x => Number(x) >>> 0),
-                                len: Number(s.len),
-                                fingerprint: typeof s.fingerprint === 'string' ? s.fingerprint : null
-                            });
-                        }
+    // usersDna: signatures only, the samples themselves are kept by dna.js
+    if (data.usersDna && typeof data.usersDna === 'object') {
+        for (const [u, arr] of Object.entries(data.usersDna)) {
+            if (Array.isArray(arr)) {
+                // each element should be { sig: [numbers], len: number, fingerprint: string }
+                const normalized = [];
+                for (const s of arr) {
+                    if (s && Array.isArray(s.sig) && Number.isInteger(s.len) && typeof s.fingerprint === 'string') {
+                        normalized.push(cloneDnaEntry(s));
                     }
-                    usersDna.set(u, normalized);
                 }
+                if (normalized.length > 0) usersDna.set(u, normalized);
             }
         }
+    }
 
-        // collateral
-        userCollateral.clear();
-        if (data.userCollateral && typeof data.userCollateral === 'object') {
-            for (const [u, val] of Object.entries(data.userCollateral)) {
-                userCollateral.set(u, val);
-            }
+    // collateral
+    if (data.userCollateral && typeof data.userCollateral === 'object') {
+        for (const [u, val] of Object.entries(data.userCollateral)) {
+            userCollateral.set(u, val);
         }
+    }
 
-        // ensure every user has some collateral entry
-        for (const u of users.keys()) {
-            if (!userCollateral.has(u)) {
-                userCollateral.set(u, null);
-            }
+    if (data.userStpModes && typeof data.userStpModes === 'object') {
+        for (const [u, mode] of Object.entries(data.userStpModes)) {
+            if (STP_MODES.includes(mode)) userStpModes.set(u, mode);
+        }
+    }
+
+    if (data.accountStatus && typeof data.accountStatus === 'object') {
+        for (const [u, status] of Object.entries(data.accountStatus)) {
+            if (status === 'disabled' || status === 'closed') accountStatus.set(u, status);
+        }
+    }
+
+    // roles (state written before roles existed has traders only)
+    if (data.userRoles && typeof data.userRoles === 'object') {
+        for (const [u, role] of Object.entries(data.userRoles)) {
+            if (ROLES.includes(role)) userRoles.set(u, role);
+        }
+    }
+
+    // ensure every user has some collateral entry and a role
+    for (const u of users.keys()) {
+        if (!userCollateral.has(u)) {
+            userCollateral.set(u, null);
+        }
+        if (!userRoles.has(u)) {
+            userRoles.set(u, DEFAULT_ROLE);
+        }
+    }
+
+    // sessions (absent in state written before sessions were persisted)
+    if (Array.isArray(data.sessions)) {
+        const now = clock.now();
+        for (const sess of data.sessions) {
+            if (sess.refreshExpiresAt > now && users.has(sess.username)) addSession(sess);
+        }
+    }
+
+    if (data.userTotp && typeof data.userTotp === 'object') {
+        for (const [u, t] of Object.entries(data.userTotp)) {
+            if (users.has(u)) userTotp.set(u, cloneTotp(t));
+        }
+    }
+
+    if (data.lastTotpStep && typeof data.lastTotpStep === 'object') {
+        for (const [u, step] of Object.entries(data.lastTotpStep)) {
+            if (userTotp.has(u) && Number.isInteger(step)) lastTotpStep.set(u, step);
+        }
+    }
+
+    if (Array.isArray(data.lockouts)) {
+        for (const rec of data.lockouts) {
+            if (!isFailureStale(rec, clock.now())) loginFailures.set(rec.key, cloneFailure(rec));
+        }
+    }
+
+    if (Array.isArray(data.apiKeys)) {
+        for (const key of data.apiKeys) {
+            if (users.has(key.username)) apiKeys.set(key.id, Object.assign({}, key));
+        }
+    }
+
+    if (Array.isArray(data.nonces)) {
+        for (const n of data.nonces) {
+            if (n.forgetAt > clock.now()) seenNonces.set(String(n.key), n.forgetAt);
         }
-    } catch (err) {
-        console.error('Failed to load auth state:', err.message);
     }
 }
-function saveAuthState() {
-    if (!AUTH_STATE_FILE) return;
+
+function snapshotAuthState() {
+    return {
+        users: Object.fromEntries(users),
+        userRoles: Object.fromEntries(userRoles),
+        accountStatus: Object.fromEntries(accountStatus),
+        usersDna: Object.fromEntries(
+            Array.from(usersDna.entries()).map(([u, arr]) => [u, arr.map(cloneDnaEntry)])
+        ),
+        userCollateral: Object.fromEntries(userCollateral),
+        userStpModes: Object.fromEntries(userStpModes),
+        sessions: Array.from(sessions.values())
+            .filter((sess) => sess.refreshExpiresAt > clock.now())
+            .map((sess) => Object.assign({}, sess, { retired: sess.retired.slice() })),
+        userTotp: Object.fromEntries(
+            Array.from(userTotp.entries()).map(([u, t]) => [u, cloneTotp(t)])
+        ),
+        lastTotpStep: Object.fromEntries(lastTotpStep),
+        lockouts: Array.from(loginFailures.entries())
+            .filter(([, rec]) => rec.lockedUntil > 0 && !isFailureStale(rec, clock.now()))
+            .map(([key, rec]) => Object.assign({ key }, cloneFailure(rec))),
+        apiKeys: Array.from(apiKeys.values())
+            .filter((key) => key.expiresAt === null || key.expiresAt > clock.now())
+            .map((key) => Object.assign({}, key)),
+        nonces: Array.from(seenNonces.entries())
+            .filter(([, forgetAt]) => forgetAt > clock.now())
+            .map(([key, forgetAt]) => ({ key, forgetAt }))
+    };
+}
+
+function applyAuthEvent(type, data) {
+    if (type === 'USER_REGISTERED') {
+        users.set(data.username, data.hash);
+        userRoles.set(data.username, DEFAULT_ROLE);
+        userCollateral.set(data.username, null);
+    } else if (type === 'PASSWORD_CHANGED') {
+        users.set(data.username, data.hash);
+        removeUserSessions(data.username);
+    } else if (type === 'PASSWORD_REHASHED') {
+        users.set(data.username, data.hash);
+    } else if (type === 'SESSION_CREATED') {
+        addSession(Object.assign({}, data, { retired: [] }));
+    } else if (type === 'SESSION_REFRESHED') {
+        rotateSession(data);
+    } else if (type === 'SESSION_REVOKED') {
+        removeSession(data.id);
+    } else if (type === 'DNA_SAMPLE_ADDED') {
+        addDnaEntry(data.username, data);
+    } else if (type === 'DNA_SAMPLE_DELETED') {
+        removeDnaEntry(data.username, data.fingerprint);
+    } else if (type === 'LOCKOUT_SET') {
+        loginFailures.set(data.key, cloneFailure(data));
+    } else if (type === 'LOCKOUT_CLEARED') {
+        for (const key of data.keys) loginFailures.delete(key);
+    } else if (type === 'TOTP_ENROLLMENT_STARTED') {
+        userTotp.set(data.username, { secret: data.secret, confirmed: false, recoveryHashes: [] });
+    } else if (type === 'TOTP_CONFIRMED') {
+        const t = userTotp.get(data.username);
+        if (t) {
+            t.confirmed = true;
+            t.recoveryHashes = data.recoveryHashes.slice();
+            // Confirmations journaled before steps were persisted carry none
+            if (Number.isInteger(data.step)) lastTotpStep.set(data.username, data.step);
+        }
+    } else if (type === 'TOTP_STEP_USED') {
+        lastTotpStep.set(data.username, data.step);
+    } else if (type === 'TOTP_RECOVERY_USED') {
+        const t = userTotp.get(data.username);
+        if (t) t.recoveryHashes = t.recoveryHashes.filter((h) => h !== data.hash);
+    } else if (type === 'TOTP_DISABLED') {
+        userTotp.delete(data.username);
+        lastTotpStep.delete(data.username);
+    } else if (type === 'API_KEY_CREATED') {
+        apiKeys.set(data.id, Object.assign({}, data));
+    } else if (type === 'API_KEY_REVOKED') {
+        apiKeys.delete(data.id);
+    } else if (type === 'ACCOUNT_STATUS_SET') {
+        applyAccountStatus(data.username, data.status);
+    } else if (type === 'ROLE_SET') {
+        userRoles.set(data.username, data.role);
+    } else if (type === 'COLLATERAL_SET') {
+        userCollateral.set(data.username, data.collateral);
+    } else if (type === 'STP_MODE_SET') {
+        applyStpMode(data.username, data.mode);
+    } else if (type === 'NONCE_USED') {
+        seenNonces.set(data.key, data.forgetAt);
+    }
+}
+
+journal.registerStore('auth', {
+    snapshot: snapshotAuthState,
+    restore: restoreAuthState,
+    apply: applyAuthEvent,
+    loadLegacy: loadAuthState
+});
+
+/****************************
+ * PASSWORD HASHING
+ ****************************/
+// Stored as scrypt$<version>$<N>$<r>$<p>$<salt hex>$<key hex>. Hashes without
+// a prefix are legacy unsalted SHA-256 and get upgraded on the next login.
+const HASH_VERSION = '1';
+const SCRYPT_N = 16384;
+const SCRYPT_R = 8;
+const SCRYPT_P = 1;
+const SCRYPT_KEYLEN = 32;
+
+// Runs on the libuv thread pool, so hashing never blocks the event loop
+function scrypt(password, salt, N, r, p) {
+    return new Promise((resolve, reject) => {
+        crypto.scrypt(password, salt, SCRYPT_KEYLEN, { N, r, p }, (err, key) => {
+            if (err) reject(err);
+            else resolve(key);
+        });
+    });
+}
+
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const key = await scrypt(password, salt, SCRYPT_N, SCRYPT_R, SCRYPT_P);
+    return [
+        'scrypt', HASH_VERSION, SCRYPT_N, SCRYPT_R, SCRYPT_P,
+        salt.toString('hex'), key.toString('hex')
+    ].join('$');
+}
+
+function legacyHash(password) {
+    return crypto.createHash('sha256').update(password, 'utf8').digest();
+}
+
+// Spent on unknown usernames so they take as long as wrong passwords
+let dummyHash = null;
+
+function getDummyHash() {
+    if (!dummyHash) dummyHash = hashPassword(crypto.randomBytes(16).toString('hex'));
+    return dummyHash;
+}
+
+/**
+ * Checks a password against a stored hash in constant time. `rehash` is set
+ * when the stored hash uses an outdated format or parameters.
+ */
+async function verifyPassword(password, storedHash) {
+    const parts = String(storedHash).split('$');
+
+    if (parts[0] !== 'scrypt') {
+        const expected = Buffer.from(String(storedHash), 'hex');
+        const actual = legacyHash(password);
+        const ok = expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+        return { ok, rehash: ok };
+    }
+
+    if (parts.length !== 7 || parts[1] !== HASH_VERSION) return { ok: false, rehash: false };
+    const [N, r, p] = parts.slice(2, 5).map(Number);
+    const salt = Buffer.from(parts[5], 'hex');
+    const expected = Buffer.from(parts[6], 'hex');
+
+    let actual;
     try {
-        const data = {
-            users: Object.fromEntries(users),
-            usersDna: Object.fromEntries(
-                Array.from(usersDna.entries()).map(([u, arr]) => [u, arr.map(s => ({ sig: s.sig, len: s.len, fingerprint: s.fingerprint }))])
-            ),
-            userCollateral: Object.fromEntries(userCollateral)
-        };
-        fs.mkdirSync(PERSISTENT_DIR, { recursive: true });
-        fs.writeFileSync(AUTH_STATE_FILE, JSON.stringify(data));
+        actual = await scrypt(password, salt, N, r, p);
     } catch (err) {
-        console.error('Failed to save auth state:', err.message);
+        return { ok: false, rehash: false };
     }
+    const ok = expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+    return { ok, rehash: ok && (N !== SCRYPT_N || r !== SCRYPT_R || p !== SCRYPT_P) };
 }
 
+async function checkPassword(username, password) {
+    if (typeof password !== 'string') return false;
+
+    const storedHash = users.get(username);
+    if (!storedHash) {
+        await verifyPassword(password, await getDummyHash());
+        return false;
+    }
 
-// Load persisted state on module load
-loadAuthState();
+    const result = await verifyPassword(password, storedHash);
+    if (result.ok && result.rehash) {
+        const hash = await hashPassword(password);
+        // The password may have been changed while this one was hashed
+        if (users.get(username) !== storedHash) return result.ok;
+        users.set(username, hash);
+        journal.appendEvent('auth', 'PASSWORD_REHASHED', { username, hash });
+    }
+    return result.ok;
+}
 
 /****************************
- * PASSWORD HASHING
+ * SESSIONS
  ****************************/
-function hashPassword(password) {
-    return crypto.createHash('sha256').update(password, 'utf8').digest('hex');
+function tokenHash(token) {
+    return crypto.createHash('sha256').update(String(token), 'utf8').digest('hex');
+}
+
+function newToken() {
+    return crypto.randomBytes(32).toString('hex');
+}
+
+function addSession(sess) {
+    sessions.set(sess.id, sess);
+    accessIndex.set(sess.accessHash, sess.id);
+    refreshIndex.set(sess.refreshHash, sess.id);
+}
+
+function removeSession(id) {
+    const sess = sessions.get(id);
+    if (!sess) return null;
+    sessions.delete(id);
+    accessIndex.delete(sess.accessHash);
+    refreshIndex.delete(sess.refreshHash);
+    return sess;
+}
+
+function removeUserSessions(username) {
+    const removed = [];
+    for (const sess of Array.from(sessions.values())) {
+        if (sess.username === username) {
+            removeSession(sess.id);
+            removed.push(sess.id);
+        }
+    }
+    return removed;
+}
+
+// Applies a SESSION_REFRESHED event: new token pair, old refresh token retired
+function rotateSession(data) {
+    const sess = sessions.get(data.id);
+    if (!sess) return;
+
+    accessIndex.delete(sess.accessHash);
+    refreshIndex.delete(sess.refreshHash);
+    sess.retired.push(sess.refreshHash);
+    if (sess.retired.length > RETIRED_REFRESH_LIMIT) sess.retired.shift();
+
+    sess.accessHash = data.accessHash;
+    sess.accessExpiresAt = data.accessExpiresAt;
+    sess.refreshHash = data.refreshHash;
+    sess.refreshExpiresAt = data.refreshExpiresAt;
+    sess.refreshedAt = data.refreshedAt;
+    accessIndex.set(sess.accessHash, sess.id);
+    refreshIndex.set(sess.refreshHash, sess.id);
+}
+
+function tokenResponse(sess, accessToken, refreshToken) {
+    return {
+        ok: true,
+        token: accessToken,
+        refreshToken,
+        expiresAt: sess.accessExpiresAt,
+        sessionId: sess.id
+    };
+}
+
+function createSession(username, method) {
+    const now = clock.now();
+    const accessToken = newToken();
+    const refreshToken = newToken();
+    const data = {
+        id: crypto.randomBytes(16).toString('hex'),
+        username,
+        method,
+        createdAt: now,
+        refreshedAt: now,
+        accessHash: tokenHash(accessToken),
+        accessExpiresAt: now + ACCESS_TOKEN_TTL_MS,
+        refreshHash: tokenHash(refreshToken),
+        refreshExpiresAt: now + REFRESH_TOKEN_TTL_MS
+    };
+
+    addSession(Object.assign({}, data, { retired: [] }));
+    journal.appendEvent('auth', 'SESSION_CREATED', data);
+    return tokenResponse(sessions.get(data.id), accessToken, refreshToken);
+}
+
+function revokeSessions(username, ids) {
+    for (const id of ids) journal.appendEvent('auth', 'SESSION_REVOKED', { id });
+    if (ids.length > 0) {
+        authEvents.emit('sessions-revoked', username, ids);
+    }
+}
+
+/**
+ * Swaps a refresh token for a new access/refresh pair. Presenting a refresh
+ * token that was already rotated out means it leaked, so the whole session
+ * is revoked.
+ */
+function refreshSession(refreshToken) {
+    if (!refreshToken || typeof refreshToken !== 'string') {
+        return { ok: false, status: 400, message: 'refresh_token is required' };
+    }
+
+    const hash = tokenHash(refreshToken);
+    const now = clock.now();
+    const sess = sessions.get(refreshIndex.get(hash));
+
+    if (!sess) {
+        for (const s of sessions.values()) {
+            if (s.retired.includes(hash)) {
+                removeSession(s.id);
+                revokeSessions(s.username, [s.id]);
+                break;
+            }
+        }
+        return { ok: false, status: 401, message: 'Invalid refresh token' };
+    }
+    if (sess.refreshExpiresAt <= now) {
+        return { ok: false, status: 401, message: 'Refresh token expired' };
+    }
+
+    const accessToken = newToken();
+    const nextRefreshToken = newToken();
+    const data = {
+        id: sess.id,
+        accessHash: tokenHash(accessToken),
+        accessExpiresAt: now + ACCESS_TOKEN_TTL_MS,
+        refreshHash: tokenHash(nextRefreshToken),
+        refreshExpiresAt: now + REFRESH_TOKEN_TTL_MS,
+        refreshedAt: now
+    };
+    rotateSession(data);
+    journal.appendEvent('auth', 'SESSION_REFRESHED', data);
+    return tokenResponse(sess, accessToken, nextRefreshToken);
+}
+
+function listSessions(username) {
+    const now = clock.now();
+    return Array.from(sessions.values())
+        .filter((sess) => sess.username === username && sess.refreshExpiresAt > now)
+        .sort((a, b) => b.createdAt - a.createdAt);
+}
+
+function revokeSession(username, id) {
+    const sess = sessions.get(id);
+    if (!sess || sess.username !== username) {
+        return { ok: false, status: 404, message: 'Session not found' };
+    }
+    removeSession(id);
+    revokeSessions(username, [id]);
+    return { ok: true };
+}
+
+// Session behind a still-valid access token, or null
+function getSessionFromToken(token) {
+    if (!token) return null;
+    const sess = sessions.get(accessIndex.get(tokenHash(token)));
+    if (!sess || sess.accessExpiresAt <= clock.now()) return null;
+    return sess;
+}
+
+// True while the session exists and can still be refreshed
+function isSessionActive(id) {
+    const sess = sessions.get(id);
+    return !!sess && sess.refreshExpiresAt > clock.now();
 }
 
 /****************************
- * USER REGISTRATION & LOGIN
+ * API KEYS
  ****************************/
-function registerUser(username, password) {
-    if (!username || !password) {
-        return { ok: false, status: 400, message: 'Invalid input' };
+// Keys look like ak_<id>_<secret> and are sent as a Bearer token.
+function parseApiKey(token) {
+    if (typeof token !== 'string' || !token.startsWith(API_KEY_PREFIX)) return null;
+    const parts = token.slice(API_KEY_PREFIX.length).split('_');
+    if (parts.length !== 2 || !parts[0] || !parts[1]) return null;
+    return { id: parts[0], secret: parts[1] };
+}
+
+// IPv4 clients show up as ::ffff:a.b.c.d on dual-stack sockets
+function normalizeIp(ip) {
+    if (typeof ip !== 'string') return '';
+    return ip.startsWith('::ffff:') ? ip.slice(7) : ip;
+}
+
+function isStringList(value) {
+    return Array.isArray(value) && value.every((v) => typeof v === 'string' && v.length > 0);
+}
+
+function createApiKey(username, fields) {
+    const { name, scopes, ip_allowlist, expires_at } = fields || {};
+
+    if (name !== undefined && typeof name !== 'string') {
+        return { ok: false, status: 400, message: 'name must be a string' };
     }
-    if (users.has(username)) {
-        return { ok: false, status: 409, message: 'Username already exists' };
+    if (!isStringList(scopes) || scopes.length === 0) {
+        return { ok: false, status: 400, message: 'scopes must be a non-empty list' };
+    }
+    const unknown = scopes.find((scope) => !API_KEY_SCOPES.includes(scope));
+    if (unknown) {
+        return { ok: false, status: 400, message: 'Unknown scope: ' + unknown };
+    }
+    if (ip_allowlist !== undefined && !isStringList(ip_allowlist)) {
+        return { ok: false, status: 400, message: 'ip_allowlist must be a list of addresses' };
+    }
+    if (expires_at !== undefined && (!Number.isInteger(expires_at) || expires_at <= clock.now())) {
+        return { ok: false, status: 400, message: 'expires_at must be a future timestamp' };
     }
 
-    users.set(username, hashPassword(password));
-    userCollateral.set(username, null); // default: unlimited
-    saveAuthState();
+    const secret = newToken();
+    const signingSecret = newToken();
+    const data = {
+        id: crypto.randomBytes(8).toString('hex'),
+        username,
+        name: name || '',
+        scopes: Array.from(new Set(scopes)),
+        ipAllowlist: ip_allowlist ? ip_allowlist.map(normalizeIp) : [],
+        createdAt: clock.now(),
+        expiresAt: expires_at === undefined ? null : expires_at,
+        secretHash: tokenHash(secret),
+        signingSecret
+    };
+
+    apiKeys.set(data.id, Object.assign({}, data));
+    journal.appendEvent('auth', 'API_KEY_CREATED', data);
+    return {
+        ok: true,
+        key: apiKeys.get(data.id),
+        apiKey: API_KEY_PREFIX + data.id + '_' + secret,
+        signingSecret
+    };
+}
+
+function listApiKeys(username) {
+    return Array.from(apiKeys.values())
+        .filter((key) => key.username === username)
+        .sort((a, b) => b.createdAt - a.createdAt);
+}
 
+function revokeApiKey(username, id) {
+    const key = apiKeys.get(id);
+    if (!key || key.username !== username) {
+        return { ok: false, status: 404, message: 'API key not found' };
+    }
+    apiKeys.delete(id);
+    journal.appendEvent('auth', 'API_KEY_REVOKED', { id });
+    authEvents.emit('api-keys-revoked', username, [id]);
     return { ok: true };
 }
 
-function loginUser(username, password) {
-    if (!username || !password) {
-        return { ok: false, status: 401, message: 'Invalid credentials' };
+// Key behind a valid, unexpired API key token used from an allowed address
+function getApiKeyFromToken(token, ip) {
+    const parsed = parseApiKey(token);
+    if (!parsed) return null;
+
+    const key = apiKeys.get(parsed.id);
+    if (!key) return null;
+
+    const expected = Buffer.from(key.secretHash, 'hex');
+    const actual = Buffer.from(tokenHash(parsed.secret), 'hex');
+    if (!crypto.timingSafeEqual(expected, actual)) return null;
+
+    return isApiKeyUsable(key, ip) ? key : null;
+}
+
+function isApiKeyUsable(key, ip) {
+    if (accountStatus.has(key.username)) return false;
+    if (key.expiresAt !== null && key.expiresAt <= clock.now()) return false;
+    if (key.ipAllowlist.length > 0 && !key.ipAllowlist.includes(normalizeIp(ip))) return false;
+    return true;
+}
+
+/****************************
+ * SIGNED REQUESTS
+ ****************************/
+// A signed request carries X-Api-Key-Id, X-Signature-Timestamp (ms),
+// X-Signature-Nonce and X-Signature: hex HMAC-SHA256 with the key's signing
+// secret over
+//   METHOD \n path?query \n timestamp \n nonce \n raw body
+function signaturePayload(method, path, timestamp, nonce, body) {
+    const head = [method.toUpperCase(), path, timestamp, nonce, ''].join('\n');
+    return Buffer.concat([Buffer.from(head, 'utf8'), body]);
+}
+
+function signRequest(signingSecret, method, path, timestamp, nonce, body) {
+    return crypto
+        .createHmac('sha256', signingSecret)
+        .update(signaturePayload(method, path, String(timestamp), nonce, body || Buffer.alloc(0)))
+        .digest('hex');
+}
+
+function isSignedRequest(req) {
+    return req.headers['x-signature'] !== undefined;
+}
+
+// Nonces arrive roughly in timestamp order, so stopping at the first live one
+// keeps this cheap; stragglers are merely remembered a little longer.
+function pruneNonces(now) {
+    for (const [nonce, forgetAt] of seenNonces) {
+        if (forgetAt > now) break;
+        seenNonces.delete(nonce);
     }
+}
 
-    const storedHash = users.get(username);
-    if (!storedHash) {
-        return { ok: false, status: 401, message: 'Invalid credentials' };
+function verifySignedRequest(req) {
+    const keyId = req.headers['x-api-key-id'];
+    const timestampHeader = req.headers['x-signature-timestamp'];
+    const nonce = req.headers['x-signature-nonce'];
+    const signature = req.headers['x-signature'];
+
+    if (!keyId || !timestampHeader || !nonce || !signature) {
+        return { ok: false, status: 401, message: 'Missing signature headers' };
     }
 
-    if (hashPassword(password) !== storedHash) {
-        return { ok: false, status: 401, message: 'Invalid credentials' };
+    const key = apiKeys.get(keyId);
+    if (!key || !key.signingSecret || !isApiKeyUsable(key, req.ip)) {
+        return { ok: false, status: 401, message: 'Invalid API key' };
+    }
+
+    const timestamp = Number(timestampHeader);
+    const now = clock.now();
+    if (!Number.isInteger(timestamp) || Math.abs(now - timestamp) > SIGNATURE_MAX_SKEW_MS) {
+        return { ok: false, status: 401, message: 'Stale or invalid timestamp' };
+    }
+
+    const body = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+    const expected = Buffer.from(
+        signRequest(key.signingSecret, req.method, req.originalUrl, timestampHeader, nonce, body),
+        'hex'
+    );
+    const actual = Buffer.from(String(signature), 'hex');
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+        return { ok: false, status: 401, message: 'Invalid signature' };
+    }
+
+    // Only checked once the signature holds, so nobody can burn other
+    // clients' nonces. A nonce only has to be remembered while its
+    // timestamp would still pass the skew check.
+    const nonceKey = keyId + ':' + nonce;
+    pruneNonces(now);
+    if (seenNonces.has(nonceKey)) {
+        return { ok: false, status: 401, message: 'Nonce already used' };
     }
+    const forgetAt = timestamp + SIGNATURE_MAX_SKEW_MS;
+    seenNonces.set(nonceKey, forgetAt);
+    // Journaled, so a restart within the skew window cannot reopen a replay
+    journal.appendEvent('auth', 'NONCE_USED', { key: nonceKey, forgetAt });
 
-    const token = crypto.randomBytes(32).toString('hex');
-    tokens.set(token, username);
-    return { ok: true, token };
+    return { ok: true, key };
 }
 
-function invalidateTokensForUser(username) {
-    for (const [token, user] of tokens.entries()) {
-        if (user === username) {
-            tokens.delete(token);
+function applyApiKey(req, key) {
+    req.user = key.username;
+    req.apiKeyId = key.id;
+    req.scopes = key.scopes;
+}
+
+/**
+ * Middleware verifying an HMAC-signed request. With { optional: true }
+ * unsigned requests pass through untouched, for routes that authenticate
+ * some other way as well.
+ */
+function signatureMiddleware({ optional = false } = {}) {
+    return (req, res, next) => {
+        if (optional && !isSignedRequest(req)) return next();
+
+        const result = verifySignedRequest(req);
+        if (!result.ok) {
+            return res.status(result.status).send(result.message);
         }
+        applyApiKey(req, result.key);
+        next();
+    };
+}
+
+/****************************
+ * BRUTE-FORCE PROTECTION
+ ****************************/
+function cloneFailure(rec) {
+    return {
+        failures: rec.failures,
+        lockedUntil: rec.lockedUntil,
+        lastFailureAt: rec.lastFailureAt
+    };
+}
+
+function isFailureStale(rec, now) {
+    return rec.lockedUntil <= now && now - rec.lastFailureAt > FAILURE_DECAY_MS;
+}
+
+function failureKeys(kind, username, ip) {
+    const keys = [kind + ':user:' + username];
+    if (ip) keys.push(kind + ':ip:' + normalizeIp(ip));
+    return keys;
+}
+
+// 429 result while the username or the address is locked out, else null
+function checkLockout(kind, username, ip) {
+    const now = clock.now();
+    let lockedUntil = 0;
+    for (const key of failureKeys(kind, username, ip)) {
+        const rec = loginFailures.get(key);
+        if (rec && rec.lockedUntil > lockedUntil) lockedUntil = rec.lockedUntil;
     }
+    if (lockedUntil <= now) return null;
+
+    return {
+        ok: false,
+        status: 429,
+        message: 'Too many failed attempts',
+        retryAfter: Math.ceil((lockedUntil - now) / 1000)
+    };
 }
 
-function changePassword(username, oldPassword, newPassword) {
-    if (!username || !oldPassword || !newPassword) {
-        return { ok: false, status: 400, message: 'Invalid input' };
+// Like checkLockout, but also reserves one attempt until endAttempt(). Attempts
+// still being verified count as failures, so a burst of parallel guesses
+// cannot get past the free budget before the first of them fails.
+function beginAttempt(kind, username, ip) {
+    const locked = checkLockout(kind, username, ip);
+    if (locked) return locked;
+
+    const policy = LOCKOUT_POLICIES[kind];
+    const now = clock.now();
+    const keys = failureKeys(kind, username, ip);
+    for (const key of keys) {
+        const rec = loginFailures.get(key);
+        const failures = rec && !isFailureStale(rec, now) ? rec.failures : 0;
+        const free = key.includes(':ip:') ? policy.ipFree : policy.userFree;
+        if (failures + (pendingAttempts.get(key) || 0) > free) {
+            return { ok: false, status: 429, message: 'Too many attempts in progress', retryAfter: 1 };
+        }
     }
 
-    const storedHash = users.get(username);
-    if (!storedHash) {
+    for (const key of keys) pendingAttempts.set(key, (pendingAttempts.get(key) || 0) + 1);
+    return null;
+}
+
+function endAttempt(kind, username, ip) {
+    for (const key of failureKeys(kind, username, ip)) {
+        const left = (pendingAttempts.get(key) || 0) - 1;
+        if (left > 0) pendingAttempts.set(key, left);
+        else pendingAttempts.delete(key);
+    }
+}
+
+function pruneFailures(now) {
+    for (const [key, rec] of loginFailures) {
+        if (isFailureStale(rec, now)) loginFailures.delete(key);
+    }
+}
+
+function recordFailure(kind, username, ip) {
+    const policy = LOCKOUT_POLICIES[kind];
+    const now = clock.now();
+    if (loginFailures.size > 10000) pruneFailures(now);
+
+    for (const key of failureKeys(kind, username, ip)) {
+        let rec = loginFailures.get(key);
+        if (!rec || isFailureStale(rec, now)) {
+            rec = { failures: 0, lockedUntil: 0, lastFailureAt: now };
+            loginFailures.set(key, rec);
+        }
+        rec.failures += 1;
+        rec.lastFailureAt = now;
+
+        const free = key.includes(':ip:') ? policy.ipFree : policy.userFree;
+        if (rec.failures > free) {
+            const lockMs = Math.min(policy.maxMs, policy.baseMs * 2 ** (rec.failures - free - 1));
+            rec.lockedUntil = now + lockMs;
+            // Only locks are journaled, so failures cannot flood the journal
+            journal.appendEvent('auth', 'LOCKOUT_SET', Object.assign({ key }, cloneFailure(rec)));
+        }
+    }
+}
+
+function recordSuccess(kind, username) {
+    loginFailures.delete(kind + ':user:' + username);
+}
+
+/**
+ * Admin unlock: clears the password and DNA counters of a username, plus
+ * those of an address when one is given.
+ */
+function clearLockout(actor, username, ip) {
+    const keys = [];
+    for (const kind of Object.keys(LOCKOUT_POLICIES)) {
+        for (const key of failureKeys(kind, username, ip)) {
+            if (loginFailures.has(key)) keys.push(key);
+        }
+    }
+    if (keys.length === 0) {
+        return { ok: false, status: 404, message: 'No lockout found' };
+    }
+
+    for (const key of keys) loginFailures.delete(key);
+    journal.appendEvent('auth', 'LOCKOUT_CLEARED', { keys, actor });
+    return { ok: true };
+}
+
+/****************************
+ * TOTP SECOND FACTOR
+ ****************************/
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buf) {
+    let bits = 0;
+    let value = 0;
+    let out = '';
+    for (const byte of buf) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            out += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) out += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    return out;
+}
+
+function base32Decode(str) {
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+    for (const ch of str) {
+        value = (value << 5) | BASE32_ALPHABET.indexOf(ch);
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+}
+
+function cloneTotp(t) {
+    return {
+        secret: t.secret,
+        confirmed: !!t.confirmed,
+        recoveryHashes: Array.isArray(t.recoveryHashes) ? t.recoveryHashes.slice() : []
+    };
+}
+
+// HOTP (RFC 4226) for the given time step
+function totpAt(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+    const mac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = mac[mac.length - 1] & 0x0f;
+    const code = (mac.readUInt32BE(offset) & 0x7fffffff) % 10 ** TOTP_DIGITS;
+    return String(code).padStart(TOTP_DIGITS, '0');
+}
+
+// Codes sent as GalacticBuf integers lose their leading zeros
+function normalizeCode(code) {
+    if (Number.isInteger(code) && code >= 0) return String(code).padStart(TOTP_DIGITS, '0');
+    return typeof code === 'string' ? code.trim() : '';
+}
+
+// Accepted step for a valid code within the drift window, or -1
+function matchTotp(secret, code, lastStep) {
+    const current = Math.floor(clock.now() / TOTP_STEP_MS);
+    const expected = Buffer.from(code);
+    for (let step = current - TOTP_WINDOW; step <= current + TOTP_WINDOW; step++) {
+        if (step <= lastStep) continue;
+        const candidate = Buffer.from(totpAt(secret, step));
+        if (candidate.length === expected.length && crypto.timingSafeEqual(candidate, expected)) {
+            return step;
+        }
+    }
+    return -1;
+}
+
+function isTotpEnabled(username) {
+    const t = userTotp.get(username);
+    return !!t && t.confirmed;
+}
+
+/**
+ * Checks a fresh second factor for users that enrolled TOTP: a current code
+ * (each usable once) or one of their recovery codes (consumed on use).
+ */
+function checkSecondFactor(username, rawCode) {
+    const t = userTotp.get(username);
+    if (!t || !t.confirmed) return { ok: true };
+
+    const code = normalizeCode(rawCode);
+    if (!code) {
+        return { ok: false, status: 401, message: 'TOTP code required' };
+    }
+
+    if (/^\d+$/.test(code)) {
+        const step = matchTotp(t.secret, code, lastTotpStep.get(username) ?? -1);
+        if (step < 0) return { ok: false, status: 401, message: 'Invalid TOTP code' };
+        lastTotpStep.set(username, step);
+        // Journaled, so a code cannot be replayed after a restart either
+        journal.appendEvent('auth', 'TOTP_STEP_USED', { username, step });
+        return { ok: true };
+    }
+
+    const hash = tokenHash(code.toLowerCase());
+    if (!t.recoveryHashes.includes(hash)) {
+        return { ok: false, status: 401, message: 'Invalid TOTP code' };
+    }
+    t.recoveryHashes = t.recoveryHashes.filter((h) => h !== hash);
+    journal.appendEvent('auth', 'TOTP_RECOVERY_USED', { username, hash });
+    return { ok: true };
+}
+
+// Starts (or restarts) enrolment; it only takes effect once confirmed
+function startTotpEnrollment(username) {
+    if (isTotpEnabled(username)) {
+        return { ok: false, status: 409, message: 'TOTP already enabled' };
+    }
+
+    const secret = base32Encode(crypto.randomBytes(20));
+    userTotp.set(username, { secret, confirmed: false, recoveryHashes: [] });
+    journal.appendEvent('auth', 'TOTP_ENROLLMENT_STARTED', { username, secret });
+
+    const label = encodeURIComponent(TOTP_ISSUER + ':' + username);
+    const uri = `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(TOTP_ISSUER)}` +
+        `&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_STEP_MS / 1000}`;
+    return { ok: true, secret, uri };
+}
+
+function confirmTotp(username, rawCode) {
+    const t = userTotp.get(username);
+    if (!t) {
+        return { ok: false, status: 404, message: 'No TOTP enrolment in progress' };
+    }
+    if (t.confirmed) {
+        return { ok: false, status: 409, message: 'TOTP already enabled' };
+    }
+
+    const step = matchTotp(t.secret, normalizeCode(rawCode), -1);
+    if (step < 0) {
+        return { ok: false, status: 401, message: 'Invalid TOTP code' };
+    }
+    lastTotpStep.set(username, step);
+
+    const recoveryCodes = [];
+    for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+        const raw = crypto.randomBytes(5).toString('hex');
+        recoveryCodes.push(raw.slice(0, 5) + '-' + raw.slice(5));
+    }
+    t.confirmed = true;
+    t.recoveryHashes = recoveryCodes.map(tokenHash);
+    journal.appendEvent('auth', 'TOTP_CONFIRMED', { username, recoveryHashes: t.recoveryHashes, step });
+
+    return { ok: true, recoveryCodes };
+}
+
+function disableTotp(username, code) {
+    if (!userTotp.has(username)) {
+        return { ok: false, status: 404, message: 'TOTP not enabled' };
+    }
+    const second = checkSecondFactor(username, code);
+    if (!second.ok) return second;
+
+    userTotp.delete(username);
+    lastTotpStep.delete(username);
+    journal.appendEvent('auth', 'TOTP_DISABLED', { username });
+    return { ok: true };
+}
+
+/****************************
+ * USER REGISTRATION & LOGIN
+ ****************************/
+// Password plus, once enrolled, TOTP, behind the brute-force lockout
+async function authenticatePassword(username, password, totp, ip) {
+    const locked = beginAttempt('password', username, ip);
+    if (locked) return locked;
+
+    let valid;
+    try {
+        valid = await checkPassword(username, password);
+    } finally {
+        endAttempt('password', username, ip);
+    }
+
+    if (!valid) {
+        recordFailure('password', username, ip);
         return { ok: false, status: 401, message: 'Invalid credentials' };
     }
 
-    if (hashPassword(oldPassword) !== storedHash) {
+    const second = checkSecondFactor(username, totp);
+    if (!second.ok) {
+        recordFailure('password', username, ip);
+        return second;
+    }
+
+    recordSuccess('password', username);
+    return inactiveAccountResult(username) || { ok: true };
+}
+
+async function registerUser(username, password) {
+    if (!username || !password) {
+        return { ok: false, status: 400, message: 'Invalid input' };
+    }
+    if (users.has(username)) {
+        return { ok: false, status: 409, message: 'Username already exists' };
+    }
+
+    const hash = await hashPassword(password);
+    // Checked again: a parallel registration may have taken the name meanwhile
+    if (users.has(username)) {
+        return { ok: false, status: 409, message: 'Username already exists' };
+    }
+    users.set(username, hash);
+    userRoles.set(username, DEFAULT_ROLE);
+    userCollateral.set(username, null); // default: unlimited
+    journal.appendEvent('auth', 'USER_REGISTERED', { username, hash });
+
+    return { ok: true };
+}
+
+async function loginUser(username, password, totp, ip) {
+    if (!username || !password) {
         return { ok: false, status: 401, message: 'Invalid credentials' };
     }
 
-    users.set(username, hashPassword(newPassword));
-    invalidateTokensForUser(username);
-    saveAuthState();
+    const auth = await authenticatePassword(username, password, totp, ip);
+    if (!auth.ok) return auth;
+
+    return createSession(username, 'password');
+}
+
+async function changePassword(username, oldPassword, newPassword, totp, ip) {
+    if (!username || !oldPassword || !newPassword) {
+        return { ok: false, status: 400, message: 'Invalid input' };
+    }
+
+    const auth = await authenticatePassword(username, oldPassword, totp, ip);
+    if (!auth.ok) return auth;
+
+    const hash = await hashPassword(newPassword);
+    users.set(username, hash);
+    // Replaying PASSWORD_CHANGED drops the sessions as well
+    const revoked = removeUserSessions(username);
+    journal.appendEvent('auth', 'PASSWORD_CHANGED', { username, hash });
+    if (revoked.length > 0) {
+        authEvents.emit('sessions-revoked', username, revoked);
+    }
 
     return { ok: true };
 }
@@ -168,170 +1140,427 @@ function changePassword(username, oldPassword, newPassword) {
 /****************************
  * AUTH MIDDLEWARE
  ****************************/
+function bearerToken(header) {
+    if (typeof header !== 'string' || !header.startsWith('Bearer ')) return null;
+    return header.slice(7).trim();
+}
+
+// Accepts a session access token, an API key, or a request signed with an
+// API key. req.scopes is null for sessions, which may do everything their
+// user may do.
 function authMiddleware(req, res, next) {
-    const header = req.headers['authorization'] || '';
-    if (!header.startsWith('Bearer ')) {
+    if (isSignedRequest(req)) {
+        return signatureMiddleware()(req, res, next);
+    }
+
+    const token = bearerToken(req.headers['authorization'] || '');
+    if (!token) {
         return res.status(401).end();
     }
 
-    const token = header.slice(7).trim();
-    const user = tokens.get(token);
-    if (!user) {
+    if (parseApiKey(token)) {
+        const key = getApiKeyFromToken(token, req.ip);
+        if (!key) {
+            return res.status(401).end();
+        }
+        applyApiKey(req, key);
+        return next();
+    }
+
+    const sess = getSessionFromToken(token);
+    if (!sess) {
         return res.status(401).end();
     }
 
-    req.user = user;
+    req.user = sess.username;
+    req.sessionId = sess.id;
+    req.scopes = null;
     next();
 }
 
+// For routes behind authMiddleware that API keys may call with `scope`
+function requireScope(scope) {
+    return (req, res, next) => {
+        if (req.scopes && !req.scopes.includes(scope)) {
+            return res.status(403).send('API key lacks scope: ' + scope);
+        }
+        next();
+    };
+}
+
+// For account management and admin routes, which need a real login
+function requireSession(req, res, next) {
+    if (!req.sessionId) {
+        return res.status(403).send('Not available to API keys');
+    }
+    next();
+}
+
+// Market data is public, but a caller that does present credentials is
+// checked like on any other route, so an API key needs read-market.
+function marketDataMiddleware(req, res, next) {
+    if (!isSignedRequest(req) && !req.headers['authorization']) return next();
+    authMiddleware(req, res, () => requireScope('read-market')(req, res, next));
+}
+
+/**
+ * Authenticates a WebSocket upgrade with a session access token or an API
+ * key holding `scope`. The token comes from the Authorization header like on
+ * REST routes, or from ?token= for clients that cannot set headers. With
+ * `optional`, a request without any token passes as anonymous.
+ * Returns { ok, username, sessionId, apiKeyId } or { ok, status, message }.
+ */
+function authenticateUpgrade(request, url, scope, optional = false) {
+    const token =
+        bearerToken(request.headers['authorization'] || '') || url.searchParams.get('token');
+    if (!token && optional) {
+        return { ok: true, username: null, sessionId: null, apiKeyId: null };
+    }
+
+    if (parseApiKey(token)) {
+        const key = getApiKeyFromToken(token, request.socket.remoteAddress);
+        if (!key) return { ok: false, status: 401, message: 'Unauthorized' };
+        if (!key.scopes.includes(scope)) return { ok: false, status: 403, message: 'Forbidden' };
+        return { ok: true, username: key.username, sessionId: null, apiKeyId: key.id };
+    }
+
+    const sess = getSessionFromToken(token);
+    if (!sess) return { ok: false, status: 401, message: 'Unauthorized' };
+    return { ok: true, username: sess.username, sessionId: sess.id, apiKeyId: null };
+}
+
+// Whether the login or API key a stream was opened with is still valid
+function isUpgradeAuthActive(auth, ip) {
+    if (auth.apiKeyId) {
+        const key = apiKeys.get(auth.apiKeyId);
+        return !!key && isApiKeyUsable(key, ip);
+    }
+    return isSessionActive(auth.sessionId);
+}
+
 /****************************
- * DNA LOGIN SUPPORT
+ * ROLES
+ ****************************/
+function getRole(username) {
+    return userRoles.get(username) || null;
+}
+
+/**
+ * Middleware for routes behind authMiddleware: only lets the listed roles
+ * through and exposes the caller's role as req.role.
+ */
+function requireRole(...roles) {
+    return (req, res, next) => {
+        const role = getRole(req.user);
+        if (!roles.includes(role)) {
+            return res.status(403).send('Insufficient role');
+        }
+        req.role = role;
+        next();
+    };
+}
+
+// `actor` is the admin account the change is attributed to
+function setRole(actor, username, role) {
+    if (!ROLES.includes(role)) {
+        return { ok: false, status: 400, message: 'role must be one of ' + ROLES.join(', ') };
+    }
+    if (!users.has(username)) {
+        return { ok: false, status: 404, message: 'User not found' };
+    }
+    if (username === actor && role !== 'admin') {
+        return { ok: false, status: 409, message: 'Admins cannot demote themselves' };
+    }
+
+    userRoles.set(username, role);
+    journal.appendEvent('auth', 'ROLE_SET', { username, role, actor });
+    return { ok: true };
+}
+
+/****************************
+ * ACCOUNT LIFECYCLE
  ****************************/
-function validateDnaSample(dna) {
-    if (!dna || typeof dna !== 'string') return false;
-    if (dna.length === 0 || dna.length % 3 !== 0) return false;
-    return /^[CGAT]+$/.test(dna);
+function getAccountStatus(username) {
+    if (!users.has(username)) return null;
+    return accountStatus.get(username) || 'active';
 }
 
-function codonAt(dna, idx) {
-    const start = idx * 3;
-    return dna.substr(start, 3);
+function inactiveAccountResult(username) {
+    const status = getAccountStatus(username);
+    if (status === 'active') return null;
+    return { ok: false, status: 403, message: status === 'closed' ? 'Account closed' : 'Account disabled' };
 }
 
-// banded Levenshtein on codon indices; limit is small (floor(ref_codons/100000))
-function isDnaSimilar(sample, reference, limit) {
-    const n = sample.length / 3;
-    const m = reference.length / 3;
-    if (!Number.isInteger(n) || !Number.isInteger(m)) return false;
-    if (Math.abs(n - m) > limit) return false;
+// Shared by the live path and journal replay; returns the dropped sessions
+function applyAccountStatus(username, status) {
+    if (status === 'active') accountStatus.delete(username);
+    else accountStatus.set(username, status);
+    if (status === 'active') return [];
 
-    if (limit === 0) {
-        if (n !== m) return false;
-        for (let i = 0; i < n; i++) {
-            if (codonAt(sample, i) !== codonAt(reference, i)) return false;
+    const revoked = removeUserSessions(username);
+    if (status === 'closed') {
+        for (const key of Array.from(apiKeys.values())) {
+            if (key.username === username) apiKeys.delete(key.id);
         }
-        return true;
+        usersDna.delete(username);
+        userTotp.delete(username);
+        lastTotpStep.delete(username);
     }
+    return revoked;
+}
 
-    // initialize prev row for i = 0: dp[0][j] = j for j in [0 .. min(m, limit)]
-    let prevJmin = 0;
-    let prevJmax = Math.min(m, limit);
-    let prev = new Array(prevJmax - prevJmin + 1);
-    for (let j = prevJmin; j <= prevJmax; j++) {
-        prev[j - prevJmin] = j;
+/**
+ * Disables, re-enables or closes an account on behalf of `actor`. Leaving
+ * 'active' logs the user out everywhere; closing also drops their API keys,
+ * DNA samples and TOTP enrolment. Closed accounts stay closed.
+ */
+function setAccountStatus(actor, username, status) {
+    if (!ACCOUNT_STATUSES.includes(status)) {
+        return { ok: false, status: 400, message: 'Invalid account status' };
+    }
+    const current = getAccountStatus(username);
+    if (!current) {
+        return { ok: false, status: 404, message: 'User not found' };
+    }
+    if (current === 'closed') {
+        return { ok: false, status: 409, message: 'Account closed' };
+    }
+    if (username === actor && status === 'disabled') {
+        return { ok: false, status: 409, message: 'Admins cannot disable themselves' };
     }
 
-    for (let i = 1; i <= n; i++) {
-        const jmin = Math.max(0, i - limit);
-        const jmax = Math.min(m, i + limit);
-        const currLen = jmax - jmin + 1;
-        const curr = new Array(currLen);
-        let minRow = Infinity;
+    const samples = status === 'closed' ? listDnaSamples(username) : [];
+    const revoked = applyAccountStatus(username, status);
+    journal.appendEvent('auth', 'ACCOUNT_STATUS_SET', { username, status, actor });
 
-        for (let j = jmin; j <= jmax; j++) {
-            const idx = j - jmin;
-            let del = Infinity;
-            let ins = Infinity;
-            let sub = Infinity;
+    for (const s of samples) {
+        if (!isSampleReferenced(s.fingerprint)) dna.removeSample(s.fingerprint);
+    }
+    if (revoked.length > 0) {
+        authEvents.emit('sessions-revoked', username, revoked);
+    }
+    // Keys survive a disable but cannot be used, so their streams go too
+    if (status !== 'active') {
+        const keyIds = listApiKeys(username).map((key) => key.id);
+        if (keyIds.length > 0) authEvents.emit('api-keys-revoked', username, keyIds);
+    }
+    return { ok: true };
+}
 
-            // delete: from prev[j] + 1
-            if (j >= prevJmin && j <= prevJmax) {
-                del = prev[j - prevJmin] + 1;
-            }
+/**
+ * Makes sure the account named by ADMIN_USERNAME exists and is an admin.
+ * ADMIN_PASSWORD is only used when the account has to be created.
+ */
+async function bootstrapAdmin() {
+    const username = process.env.ADMIN_USERNAME;
+    if (!username) return;
 
-            // insert: from curr[j-1] +1
-            if (j - 1 >= jmin) {
-                ins = curr[(j - 1) - jmin] + 1;
-            }
+    if (!users.has(username)) {
+        const password = process.env.ADMIN_PASSWORD;
+        if (!password) {
+            console.error('ADMIN_USERNAME is set but ADMIN_PASSWORD is missing; no admin created');
+            return;
+        }
+        const result = await registerUser(username, password);
+        if (!result.ok) {
+            console.error('Failed to create admin account:', result.message);
+            return;
+        }
+    }
 
-            // substitution/match: from prev[j-1] + (0|1)
-            if (j - 1 >= prevJmin && j - 1 <= prevJmax) {
-                const eq = codonAt(sample, i - 1) === codonAt(reference, j - 1);
-                sub = prev[(j - 1) - prevJmin] + (eq ? 0 : 1);
-            }
+    if (getRole(username) !== 'admin') {
+        userRoles.set(username, 'admin');
+        journal.appendEvent('auth', 'ROLE_SET', { username, role: 'admin', actor: 'bootstrap' });
+    }
+}
 
-            const best = Math.min(del, ins, sub);
-            curr[idx] = best;
-            if (best < minRow) minRow = best;
-        }
+/****************************
+ * DNA LOGIN SUPPORT
+ ****************************/
+function cloneDnaEntry(s) {
+    return {
+        sig: s.sig.map(x => Number(x) >>> 0),
+        len: Number(s.len),
+        fingerprint: s.fingerprint,
+        createdAt: Number(s.createdAt) || 0
+    };
+}
+
+function addDnaEntry(username, entry) {
+    const list = usersDna.get(username) || [];
+    if (list.some((s) => s.fingerprint === entry.fingerprint)) return;
+    list.push(cloneDnaEntry(entry));
+    usersDna.set(username, list);
+}
 
-        if (minRow > limit) return false;
-        prev = curr;
-        prevJmin = jmin;
-        prevJmax = jmax;
+function removeDnaEntry(username, fingerprint) {
+    const list = usersDna.get(username);
+    if (!list) return false;
+    const next = list.filter((s) => s.fingerprint !== fingerprint);
+    if (next.length === list.length) return false;
+    if (next.length === 0) usersDna.delete(username);
+    else usersDna.set(username, next);
+    return true;
+}
+
+function isSampleReferenced(fingerprint) {
+    for (const list of usersDna.values()) {
+        if (list.some((s) => s.fingerprint === fingerprint)) return true;
     }
+    return false;
+}
 
-    if (m < prevJmin || m > prevJmax) return false;
-    const finalVal = prev[m - prevJmin];
-    return finalVal <= limit;
+// Matcher jobs are limited per username and per address
+function dnaJobOwners(username, ip) {
+    const owners = ['user:' + username];
+    if (ip) owners.push('ip:' + normalizeIp(ip));
+    return owners;
 }
 
-function registerDnaSample(username, password, sample) {
+// Cheap shape checks; the full CGAT scan happens in the worker
+function isPlausibleSample(sample) {
+    return typeof sample === 'string' && sample.length > 0 && sample.length % 3 === 0;
+}
+// Resolves like the other auth functions: { ok, status, message }
+async function registerDnaSample(username, password, sample, totp, ip) {
     if (!username || !password || typeof sample !== 'string') {
         return { ok: false, status: 400, message: 'Invalid input' };
     }
-    if (!validateDnaSample(sample)) {
+    if (!isPlausibleSample(sample)) {
         return { ok: false, status: 400, message: 'Invalid DNA sample' };
     }
 
-    const login = loginUser(username, password);
-    if (!login.ok) {
-        return { ok: false, status: 401, message: 'Invalid credentials' };
+    const auth = await authenticatePassword(username, password, totp, ip);
+    if (!auth.ok) return auth;
+
+    if ((usersDna.get(username) || []).length >= MAX_DNA_SAMPLES_PER_USER) {
+        return { ok: false, status: 409, message: 'Too many DNA samples enrolled' };
     }
 
-    if (!usersDna.has(username)) {
-        usersDna.set(username, new Set());
+    const analysis = await dna.analyzeSample(sample, dnaJobOwners(username, ip));
+    if (!analysis.ok) return analysis;
+    if (!analysis.valid) {
+        return { ok: false, status: 400, message: 'Invalid DNA sample' };
     }
-    usersDna.get(username).add(sample);
-    saveAuthState();
+
+    const entry = Object.assign({ username, createdAt: clock.now() }, analysis.signature);
+    if ((usersDna.get(username) || []).some((s) => s.fingerprint === entry.fingerprint)) {
+        return { ok: true };
+    }
+
+    // The sample is on disk before the journal refers to it
+    await dna.storeSample(entry.fingerprint, sample);
+    addDnaEntry(username, entry);
+    journal.appendEvent('auth', 'DNA_SAMPLE_ADDED', entry);
 
     return { ok: true };
 }
 
-function loginWithDna(username, sample) {
-    if (!username || typeof username !== 'string' || !validateDnaSample(sample)) {
+function listDnaSamples(username) {
+    return (usersDna.get(username) || []).slice().sort((a, b) => b.createdAt - a.createdAt);
+}
+
+function deleteDnaSample(username, fingerprint) {
+    if (!removeDnaEntry(username, fingerprint)) {
+        return { ok: false, status: 404, message: 'DNA sample not found' };
+    }
+    journal.appendEvent('auth', 'DNA_SAMPLE_DELETED', { username, fingerprint });
+    if (!isSampleReferenced(fingerprint)) dna.removeSample(fingerprint);
+    return { ok: true };
+}
+
+// Users with TOTP enrolled also need a code here, as with a password login
+async function loginWithDna(username, sample, totp, ip) {
+    if (!username || typeof username !== 'string' || !isPlausibleSample(sample)) {
         return { ok: false, status: 400, message: 'Invalid input' };
     }
-    if (!users.has(username)) {
-        return { ok: false, status: 401, message: 'Authentication failed' };
+
+    // Checked before any sample comparison, which is the expensive part. The
+    // attempt counts against the budget until the comparison has finished.
+    const locked = beginAttempt('dna', username, ip);
+    if (locked) return locked;
+
+    let match = null;
+    try {
+        const stored = users.has(username) ? usersDna.get(username) : null;
+        if (stored && stored.length > 0) {
+            match = await dna.findMatchingSample(sample, stored, dnaJobOwners(username, ip));
+        }
+    } finally {
+        endAttempt('dna', username, ip);
     }
 
-    const stored = usersDna.get(username);
-    if (!stored || stored.size === 0) {
+    if (!match) {
+        recordFailure('dna', username, ip);
         return { ok: false, status: 401, message: 'Authentication failed' };
     }
+    if (!match.ok) return match;
+    if (!match.valid) {
+        return { ok: false, status: 400, message: 'Invalid input' };
+    }
 
-    for (const ref of stored) {
-        const refCodons = ref.length / 3;
-        if (!Number.isInteger(refCodons)) continue;
-        const limit = Math.floor(refCodons / 100000);
-        if (isDnaSimilar(sample, ref, limit)) {
-            const token = crypto.randomBytes(32).toString('hex');
-            tokens.set(token, username);
-            return { ok: true, token };
+    if (match.fingerprint) {
+        const second = checkSecondFactor(username, totp);
+        if (!second.ok) {
+            recordFailure('dna', username, ip);
+            return second;
         }
+        recordSuccess('dna', username);
+        return inactiveAccountResult(username) || createSession(username, 'dna');
     }
 
+    recordFailure('dna', username, ip);
     return { ok: false, status: 401, message: 'DNA verification failed' };
 }
 
 /****************************
  * TOKEN / COLLATERAL HELPERS
  ****************************/
-function getUsernameFromToken(token) {
-    return tokens.get(token) || null;
+// `scope` and `ip` are checked when the token turns out to be an API key
+function getUsernameFromToken(token, scope, ip) {
+    if (parseApiKey(token)) {
+        const key = getApiKeyFromToken(token, ip);
+        if (!key || (scope && !key.scopes.includes(scope))) return null;
+        return key.username;
+    }
+    const sess = getSessionFromToken(token);
+    return sess ? sess.username : null;
 }
 
 function getCollateral(username) {
     return userCollateral.has(username) ? userCollateral.get(username) : null;
 }
 
-function setCollateral(username, value) {
+function setCollateral(actor, username, value) {
     if (!users.has(username)) {
         return { ok: false, status: 404, message: 'User not found' };
     }
     userCollateral.set(username, value);
-    saveAuthState();
+    journal.appendEvent('auth', 'COLLATERAL_SET', { username, collateral: value, actor });
+    return { ok: true };
+}
+
+/****************************
+ * SELF-TRADE PREVENTION
+ ****************************/
+function applyStpMode(username, mode) {
+    if (mode === 'none') userStpModes.delete(username);
+    else userStpModes.set(username, mode);
+}
+
+function getStpMode(username) {
+    return userStpModes.get(username) || 'none';
+}
+
+function setStpMode(actor, username, mode) {
+    if (!STP_MODES.includes(mode)) {
+        return { ok: false, status: 400, message: 'stp_mode must be one of ' + STP_MODES.join(', ') };
+    }
+    if (!users.has(username)) {
+        return { ok: false, status: 404, message: 'User not found' };
+    }
+    applyStpMode(username, mode);
+    journal.appendEvent('auth', 'STP_MODE_SET', { username, mode, actor });
     return { ok: true };
 }
 
@@ -342,12 +1571,45 @@ module.exports = {
     registerUser,
     loginUser,
     changePassword,
+    refreshSession,
+    listSessions,
+    revokeSession,
+    getSessionFromToken,
+    isSessionActive,
     authMiddleware,
+    requireScope,
+    requireSession,
+    marketDataMiddleware,
+    authenticateUpgrade,
+    isUpgradeAuthActive,
+    startTotpEnrollment,
+    confirmTotp,
+    disableTotp,
+    signatureMiddleware,
+    signRequest,
+    createApiKey,
+    listApiKeys,
+    revokeApiKey,
+    clearLockout,
+    requireRole,
+    getRole,
+    setRole,
+    getAccountStatus,
+    setAccountStatus,
+    authenticatePassword,
+    bootstrapAdmin,
+    bearerToken,
+    authEvents,
     registerDnaSample,
+    listDnaSamples,
+    deleteDnaSample,
     loginWithDna,
     getUsernameFromToken,
     getCollateral,
-    setCollateral
+    setCollateral,
+    STP_MODES,
+    getStpMode,
+    setStpMode
 };
 
 //        (\ /)
@@ -0,0 +1,108 @@
+// bench-orders.js
+// Measures placeOrderV2 latency while the order history grows.
+// Usage: node bench-orders.js [historySize] [--journal]   (default 1,000,000)
+//
+// By default the benchmark runs in memory only. With --journal every order
+// is journaled into a scratch PERSISTENT_DIR (JOURNAL_FSYNC defaults to
+// never), so the max column includes the compactions.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const WITH_JOURNAL = process.argv.includes('--journal');
+if (WITH_JOURNAL) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bench-orders-'));
+    process.env.PERSISTENT_DIR = dir;
+    process.env.JOURNAL_FSYNC = process.env.JOURNAL_FSYNC || 'never';
+    process.on('exit', () => fs.rmSync(dir, { recursive: true, force: true }));
+} else {
+    delete process.env.PERSISTENT_DIR;
+}
+
+const { placeOrderV2, cancelOrderV2, getV2OrderBook } = require('./orders');
+const { recordTrade } = require('./trades');
+const journal = require('./journal');
+
+journal.recover();
+
+const ONE_HOUR_MS = 3600000;
+const HISTORY = Number(process.argv.slice(2).find((arg) => !arg.startsWith('--'))) || 1000000;
+const SAMPLE = 10000;
+const CHECKPOINTS = [0, 10000, 100000, HISTORY].filter(
+    (n, i, arr) => n <= HISTORY && arr.indexOf(n) === i
+);
+
+const deliveryStart = (Math.floor(Date.now() / ONE_HOUR_MS) + 2) * ONE_HOUR_MS;
+const deliveryEnd = deliveryStart + ONE_HOUR_MS;
+
+function place(user, side, price, quantity) {
+    const result = placeOrderV2(user, {
+        side,
+        price,
+        quantity,
+        delivery_start: deliveryStart,
+        delivery_end: deliveryEnd
+    }, recordTrade);
+    if (!result.ok) {
+        throw new Error(`placeOrderV2 failed: ${result.status} ${result.message}`);
+    }
+    return result;
+}
+
+// One crossed pair inside the spread: both orders end up FILLED in the archive.
+function churn() {
+    place('bench-seller', 'SELL', 150, 1);
+    place('bench-buyer', 'BUY', 150, 1);
+}
+
+// Standing liquidity that every new order has to be matched against
+for (let i = 0; i < 50; i++) {
+    place('bench-mm', 'BUY', 10 + i, 10);
+    place('bench-mm', 'SELL', 200 + i, 10);
+}
+
+function measure() {
+    const samples = new Array(SAMPLE);
+
+    for (let i = 0; i < SAMPLE; i++) {
+        const t0 = process.hrtime.bigint();
+        if (i % 2 === 0) {
+            // resting order + cancel
+            const r = place('bench-seller', 'SELL', 160, 1);
+            cancelOrderV2('bench-seller', r.order.orderId);
+        } else {
+            churn();
+        }
+        samples[i] = Number(process.hrtime.bigint() - t0) / 2000; // µs per order
+    }
+
+    samples.sort((a, b) => a - b);
+    const avg = samples.reduce((s, x) => s + x, 0) / samples.length;
+    return {
+        avg,
+        p50: samples[Math.floor(SAMPLE * 0.5)],
+        p99: samples[Math.floor(SAMPLE * 0.99)],
+        max: samples[SAMPLE - 1]
+    };
+}
+
+let history = 0;
+console.log(`History orders  avg µs/order  p50 µs  p99 µs     max µs`);
+
+for (const target of CHECKPOINTS) {
+    while (history < target) {
+        churn();
+        history += 2;
+    }
+
+    const { avg, p50, p99, max } = measure();
+    history += SAMPLE * 2;
+
+    console.log(
+        `${String(target).padStart(14)}  ${avg.toFixed(2).padStart(12)}  ` +
+        `${p50.toFixed(2).padStart(6)}  ${p99.toFixed(2).padStart(6)}  ${max.toFixed(2).padStart(9)}`
+    );
+}
+
+const book = getV2OrderBook(deliveryStart, deliveryEnd);
+console.log(`Resting orders at the end: ${book.bids.length} bids, ${book.asks.length} asks`);
@@ -0,0 +1,156 @@
+// book-feed.js
+// Level-2 order book WebSocket feed: an aggregated snapshot on subscribe,
+// then incremental level changes. Every message carries the contract's
+// sequence number; a client that sees a gap reconnects to resync.
+const WebSocket = require('ws');
+const { encodeMessage, listOfObjects } = require('./galacticbuf');
+const { ONE_HOUR_MS, bookEvents, getV2BookLevels } = require('./orders');
+const { contractKey } = require('./orderbook');
+const { authenticateUpgrade } = require('./auth');
+
+const wss = new WebSocket.Server({ noServer: true });
+
+const subscribers = new Map(); // contractKey -> Set(ws)
+const sequences = new Map();   // contractKey -> last sequence number sent
+
+// Level changes buffered while a bulk operation may still roll back
+let held = null;
+
+/****************************
+ * MESSAGES
+ ****************************/
+function levelObjects(levels) {
+    return listOfObjects(levels.map((l) => ({
+        price: l.price,
+        quantity: l.quantity,
+        order_count: l.orderCount
+    })));
+}
+
+function snapshotMessage(ds, de) {
+    const { bids, asks } = getV2BookLevels(ds, de);
+    return {
+        type: 'snapshot',
+        seq: sequences.get(contractKey(ds, de)) || 0,
+        delivery_start: ds,
+        delivery_end: de,
+        bids: levelObjects(bids),
+        asks: levelObjects(asks)
+    };
+}
+
+// Sequence numbers are assigned when an update is sent, so discarded
+// (rolled back) changes never leave a gap.
+function sendUpdate(event) {
+    const key = contractKey(event.deliveryStart, event.deliveryEnd);
+    const seq = (sequences.get(key) || 0) + 1;
+    sequences.set(key, seq);
+
+    const sessions = subscribers.get(key);
+    if (!sessions) return;
+
+    const msg = {
+        type: 'update',
+        seq,
+        delivery_start: event.deliveryStart,
+        delivery_end: event.deliveryEnd,
+        changes: listOfObjects(event.changes.map((c) => ({
+            side: c.side.toLowerCase(),
+            price: c.price,
+            quantity: c.quantity,
+            order_count: c.orderCount
+        })))
+    };
+
+    try {
+        const buf = encodeMessage(msg);
+        for (const ws of sessions) {
+            if (ws.readyState === WebSocket.OPEN) ws.send(buf);
+        }
+    } catch (err) {
+        console.error('Failed to send book update:', err.message);
+    }
+}
+
+bookEvents.on('levels', (event) => {
+    if (held) {
+        held.push(event);
+        return;
+    }
+    sendUpdate(event);
+});
+
+/**
+ * Buffers level changes until releaseEvents() or discardEvents(), mirroring
+ * the private stream during bulk operations.
+ */
+function holdEvents() {
+    if (held) releaseEvents();
+    held = [];
+}
+
+function releaseEvents() {
+    const list = held || [];
+    held = null;
+    list.forEach(sendUpdate);
+}
+
+function discardEvents() {
+    held = null;
+}
+
+/****************************
+ * UPGRADE
+ ****************************/
+function rejectUpgrade(socket, status, text) {
+    socket.write(`HTTP/1.1 ${status} ${text}\r\nConnection: close\r\n\r\n`);
+    socket.destroy();
+}
+
+/**
+ * Upgrades /v2/stream/book?delivery_start=..&delivery_end=.. and subscribes
+ * the socket to that contract.
+ */
+function handleUpgrade(request, socket, head, url) {
+    const ds = Number(url.searchParams.get('delivery_start'));
+    const de = Number(url.searchParams.get('delivery_end'));
+
+    if (
+        !Number.isInteger(ds) ||
+        !Number.isInteger(de) ||
+        ds % ONE_HOUR_MS !== 0 ||
+        de % ONE_HOUR_MS !== 0 ||
+        de - ds !== ONE_HOUR_MS
+    ) {
+        return rejectUpgrade(socket, 400, 'Bad Request');
+    }
+
+    // Public, but a presented API key needs read-market like on REST
+    const auth = authenticateUpgrade(request, url, 'read-market', true);
+    if (!auth.ok) return rejectUpgrade(socket, auth.status, auth.message);
+
+    wss.handleUpgrade(request, socket, head, (ws) => {
+        const key = contractKey(ds, de);
+        if (!subscribers.has(key)) subscribers.set(key, new Set());
+        subscribers.get(key).add(ws);
+
+        ws.on('close', () => {
+            const set = subscribers.get(key);
+            if (!set) return;
+            set.delete(ws);
+            if (set.size === 0) subscribers.delete(key);
+        });
+
+        // Feed is one-way
+        ws.on('message', () => {});
+
+        ws.send(encodeMessage(snapshotMessage(ds, de)));
+    });
+}
+
+module.exports = {
+    handleUpgrade,
+    holdEvents,
+    releaseEvents,
+    discardEvents
+};
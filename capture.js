@@ -0,0 +1,244 @@
+// capture.js
+// Optional capture of incoming traffic for deterministic replay (see
+// replay.js): every HTTP request and the WebSocket order entry sessions, the
+// only streams that change state.
+//
+// With REQUEST_CAPTURE_FILE set, every request is appended to that file as one
+// JSON line:
+//   { seq, timestamp, method, path, headers, body, response: { status, contentType, body } }
+// and order entry sessions (see order-entry.js) as:
+//   { seq, timestamp, ws: 'open', session, path, headers, response: { status } }
+//   { seq, timestamp, ws: 'message', session, body, response }
+//   { seq, timestamp, ws: 'close', session }
+// seq and timestamp are taken on arrival and lines are written in arrival
+// order, even when a slower request finishes after a later one. `response` is
+// null when the client went away before it was sent; for a message it is the
+// reply frame. Sessions are numbered per capture, null for rejected upgrades.
+// Bodies and frames are base64 (GalacticBuf as sent on the wire), null when
+// empty. Captures contain credentials (passwords, bearer tokens): treat them
+// as secrets.
+//
+// With REPLAY_CLOCK=1 the server trusts an X-Replay-Time header (on requests
+// and upgrades) or a ping carrying the time (on order entry sessions) and
+// pins the clock to it, so replayed traffic sees the time it was captured at.
+// Cancel-on-disconnect timers then follow that clock as well. Never enable
+// this outside a replay instance.
+const fs = require('fs');
+const clock = require('./clock');
+
+const CAPTURE_FILE = process.env.REQUEST_CAPTURE_FILE || null;
+const REPLAY_CLOCK = process.env.REPLAY_CLOCK === '1';
+
+let fd = null;
+let lastSeq = 0;
+let lastSession = 0;
+let nextToWrite = 1;
+const finished = new Map(); // seq -> record waiting for earlier requests
+
+function encodeBody(buf) {
+    return buf && buf.length > 0 ? buf.toString('base64') : null;
+}
+
+function writeCapture(record) {
+    if (fd === null) fd = fs.openSync(CAPTURE_FILE, 'a');
+    try {
+        fs.writeSync(fd, JSON.stringify(record) + '\n');
+    } catch (err) {
+        console.error('Failed to write request capture:', err.message);
+    }
+}
+
+// Writes every record whose predecessors have all been written
+function completeCapture(seq, record) {
+    finished.set(seq, record);
+    while (finished.has(nextToWrite)) {
+        writeCapture(finished.get(nextToWrite));
+        finished.delete(nextToWrite);
+        nextToWrite += 1;
+    }
+}
+
+/**
+ * Express middleware; must run after the raw body parser so req.body holds
+ * the undecoded bytes. A no-op unless REQUEST_CAPTURE_FILE is set.
+ */
+function captureMiddleware(req, res, next) {
+    if (!CAPTURE_FILE) return next();
+
+    lastSeq += 1;
+    const seq = lastSeq;
+    const timestamp = clock.now();
+    const chunks = [];
+    const write = res.write;
+    const end = res.end;
+
+    res.write = function (chunk, ...rest) {
+        if (chunk) chunks.push(Buffer.from(chunk));
+        return write.call(this, chunk, ...rest);
+    };
+    res.end = function (chunk, ...rest) {
+        if (chunk && typeof chunk !== 'function') chunks.push(Buffer.from(chunk));
+        return end.call(this, chunk, ...rest);
+    };
+
+    // 'close' follows 'finish', or comes alone when the client went away
+    let captured = false;
+    const capture = (response) => {
+        if (captured) return;
+        captured = true;
+        completeCapture(seq, {
+            seq,
+            timestamp,
+            method: req.method,
+            path: req.originalUrl,
+            headers: req.headers,
+            body: Buffer.isBuffer(req.body) ? encodeBody(req.body) : null,
+            response
+        });
+    };
+    res.on('finish', () => capture({
+        status: res.statusCode,
+        contentType: res.get('Content-Type') || null,
+        body: encodeBody(Buffer.concat(chunks))
+    }));
+    res.on('close', () => capture(null));
+
+    // The request, including its asynchronous part, sees exactly the captured
+    // time, so a replay pinned to it stamps orders and trades identically
+    return clock.runAt(timestamp, next);
+}
+
+/****************************
+ * ORDER ENTRY SESSIONS
+ ****************************/
+function nextSeq() {
+    lastSeq += 1;
+    return lastSeq;
+}
+
+/**
+ * Captures an order entry upgrade. `upgrade(session)` runs at the captured
+ * time and returns the HTTP status it answered with (101 once upgraded);
+ * `session` is null when nothing is captured.
+ */
+function captureUpgrade(request, upgrade) {
+    if (!CAPTURE_FILE) return upgrade(null);
+
+    const seq = nextSeq();
+    const timestamp = clock.now();
+    lastSession += 1;
+    const session = lastSession;
+    let status = null;
+    try {
+        status = clock.runAt(timestamp, () => upgrade(session));
+    } finally {
+        completeCapture(seq, {
+            seq,
+            timestamp,
+            ws: 'open',
+            session: status === 101 ? session : null,
+            path: request.url,
+            headers: request.headers,
+            response: status === null ? null : { status }
+        });
+    }
+}
+
+// `handle` runs at the captured time and returns the reply frame, if any
+function captureMessage(session, data, handle) {
+    if (!CAPTURE_FILE || session === null) return handle();
+
+    const seq = nextSeq();
+    const timestamp = clock.now();
+    let frame = null;
+    try {
+        frame = clock.runAt(timestamp, handle);
+    } finally {
+        completeCapture(seq, {
+            seq,
+            timestamp,
+            ws: 'message',
+            session,
+            body: encodeBody(Buffer.isBuffer(data) ? data : Buffer.from(data)),
+            response: frame ? encodeBody(frame) : null
+        });
+    }
+    return frame;
+}
+
+function captureClose(session, handle) {
+    if (!CAPTURE_FILE || session === null) return handle();
+
+    const seq = nextSeq();
+    const timestamp = clock.now();
+    try {
+        clock.runAt(timestamp, handle);
+    } finally {
+        completeCapture(seq, { seq, timestamp, ws: 'close', session });
+    }
+}
+
+/****************************
+ * REPLAY CLOCK
+ ****************************/
+// Timers a replay has to reproduce (cancel-on-disconnect). Under REPLAY_CLOCK
+// they are due at a clock time and fire, at that time, as soon as replayed
+// traffic pins the clock past it, before that traffic is handled.
+const replayTimers = new Set();
+
+function setReplayableTimeout(fn, ms) {
+    if (!REPLAY_CLOCK) return setTimeout(fn, ms);
+    const timer = { due: clock.now() + ms, fn };
+    replayTimers.add(timer);
+    return timer;
+}
+
+function clearReplayableTimeout(timer) {
+    if (!REPLAY_CLOCK) return clearTimeout(timer);
+    replayTimers.delete(timer);
+}
+
+function pinReplayTime(value) {
+    const ts = Number(value);
+    if (!Number.isInteger(ts)) return;
+
+    const due = Array.from(replayTimers)
+        .filter((timer) => timer.due <= ts)
+        .sort((a, b) => a.due - b.due);
+    for (const timer of due) {
+        replayTimers.delete(timer);
+        clock.runAt(timer.due, timer.fn);
+    }
+    clock.setFixedTime(ts);
+}
+
+/**
+ * Express middleware pinning the clock to X-Replay-Time when REPLAY_CLOCK=1.
+ * The clock stays pinned until the next replayed request moves it.
+ */
+function replayClockMiddleware(req, res, next) {
+    if (REPLAY_CLOCK) pinReplayTime(req.headers['x-replay-time']);
+    return next();
+}
+
+// The same for WebSocket upgrades
+function replayClockUpgrade(request) {
+    if (REPLAY_CLOCK) pinReplayTime(request.headers['x-replay-time']);
+}
+
+// Order entry frames carry no headers; a replay pings the time ahead of each
+function replayClockSocket(ws) {
+    if (REPLAY_CLOCK) ws.on('ping', (data) => pinReplayTime(data.toString()));
+}
+
+module.exports = {
+    captureMiddleware,
+    captureUpgrade,
+    captureMessage,
+    captureClose,
+    replayClockMiddleware,
+    replayClockUpgrade,
+    replayClockSocket,
+    setReplayableTimeout,
+    clearReplayableTimeout
+};
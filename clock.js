@@ -0,0 +1,77 @@
+// clock.js
+// The exchange's notion of "now". Everything that stamps or checks time
+// (trading window, orders, trades, sessions) reads it from here.
+//
+// system    - follows Date.now()
+// fixed     - stands still at a set time until moved
+// simulated - starts at a set time and runs `rate` times as fast as real time
+//
+// Replays pin the clock per request (see capture.js). With CLOCK_TEST_MODE=1
+// admins can also drive it over HTTP (/admin/clock), e.g. to script a whole
+// trading day including gate closure in seconds. Sessions age with the
+// clock, so scripts log in again after large jumps.
+const { AsyncLocalStorage } = require('async_hooks');
+
+const CLOCK_TEST_MODE = process.env.CLOCK_TEST_MODE === '1';
+
+let mode = 'system';
+let base = 0;       // fixed time, or simulated time at `anchor`
+let anchor = 0;     // real time the simulation was (re)based at
+let rate = 1;
+const heldAt = new AsyncLocalStorage(); // time held by runAt()
+
+function now() {
+    const held = heldAt.getStore();
+    if (held !== undefined) return held;
+    if (mode === 'fixed') return base;
+    if (mode === 'simulated') return base + Math.floor((Date.now() - anchor) * rate);
+    return Date.now();
+}
+
+function setFixedTime(ts) {
+    mode = 'fixed';
+    base = ts;
+}
+
+function setSimulatedTime(ts, speed = 1) {
+    mode = 'simulated';
+    base = ts;
+    anchor = Date.now();
+    rate = speed;
+}
+
+function useSystemTime() {
+    mode = 'system';
+}
+
+// Moves a fixed or simulated clock forward; the system clock can't be moved
+function advance(ms) {
+    if (mode === 'system') return false;
+    if (mode === 'simulated') {
+        base = now();
+        anchor = Date.now();
+    }
+    base += ms;
+    return true;
+}
+
+function getClockState() {
+    return { mode, time: now(), rate: mode === 'simulated' ? rate : 1 };
+}
+
+// Runs fn with the clock held at `ts`, so everything it stamps agrees. The
+// hold carries over into whatever fn continues asynchronously.
+function runAt(ts, fn) {
+    return heldAt.run(ts, fn);
+}
+
+module.exports = {
+    CLOCK_TEST_MODE,
+    now,
+    setFixedTime,
+    setSimulatedTime,
+    useSystemTime,
+    advance,
+    getClockState,
+    runAt
+};
@@ -0,0 +1,40 @@
+// dna-worker.js
+// Runs one DNA job from dna.js off the main thread and posts the result.
+const fs = require('fs');
+const { parentPort, workerData } = require('worker_threads');
+const {
+    validateDnaSample,
+    isDnaSimilar,
+    sampleSignature,
+    editLimit,
+    mayBeSimilar
+} = require('./dna');
+
+function loadReference(candidate) {
+    if (candidate.sample) return candidate.sample;
+    if (!candidate.file) return null;
+    try {
+        return fs.readFileSync(candidate.file, 'utf8');
+    } catch (err) {
+        // Enrolled before samples were kept on disk
+        return null;
+    }
+}
+
+function run(job) {
+    if (!validateDnaSample(job.sample)) return { valid: false };
+    const signature = sampleSignature(job.sample);
+
+    if (job.op === 'analyze') return { valid: true, signature };
+
+    for (const candidate of job.candidates) {
+        if (!mayBeSimilar(signature, candidate)) continue;
+        const ref = loadReference(candidate);
+        if (ref && isDnaSimilar(job.sample, ref, editLimit(candidate.len))) {
+            return { valid: true, fingerprint: candidate.fingerprint };
+        }
+    }
+    return { valid: true, fingerprint: null };
+}
+
+parentPort.postMessage(run(workerData));
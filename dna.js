@@ -0,0 +1,262 @@
+// dna.js
+// DNA sample matching for DNA login. Samples are compared codon by codon
+// with a banded edit distance; a compact per-sample signature rejects
+// obviously different samples first. Matching runs in a worker thread
+// (dna-worker.js) so multi-megabyte samples never block the event loop.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Worker } = require('worker_threads');
+
+const PERSISTENT_DIR = process.env.PERSISTENT_DIR;
+// Full samples live outside the journal, one file per fingerprint
+const SAMPLES_DIR = PERSISTENT_DIR ? path.join(PERSISTENT_DIR, 'dna-samples') : null;
+const memorySamples = new Map(); // fingerprint -> sample, without PERSISTENT_DIR
+
+// Concurrent matcher jobs; further jobs wait in a bounded FIFO queue. Each
+// client (username or address) may only have a few jobs queued or running,
+// so nobody can fill the queue on their own.
+const MAX_DNA_JOBS = Number(process.env.DNA_MAX_JOBS) || 2;
+const MAX_DNA_QUEUE = Number(process.env.DNA_MAX_QUEUE) || 32;
+const MAX_DNA_JOBS_PER_CLIENT = Number(process.env.DNA_MAX_JOBS_PER_CLIENT) || 2;
+let runningJobs = 0;
+const jobQueue = [];          // { job, owners, resolve }
+const clientJobs = new Map(); // owner -> jobs queued or running
+
+/****************************
+ * SAMPLE ALGORITHMS
+ ****************************/
+function validateDnaSample(dna) {
+    if (!dna || typeof dna !== 'string') return false;
+    if (dna.length === 0 || dna.length % 3 !== 0) return false;
+    return /^[CGAT]+$/.test(dna);
+}
+
+function codonAt(dna, idx) {
+    const start = idx * 3;
+    return dna.substr(start, 3);
+}
+
+// banded Levenshtein on codon indices; limit is small (floor(ref_codons/100000))
+function isDnaSimilar(sample, reference, limit) {
+    const n = sample.length / 3;
+    const m = reference.length / 3;
+    if (!Number.isInteger(n) || !Number.isInteger(m)) return false;
+    if (Math.abs(n - m) > limit) return false;
+
+    if (limit === 0) {
+        if (n !== m) return false;
+        for (let i = 0; i < n; i++) {
+            if (codonAt(sample, i) !== codonAt(reference, i)) return false;
+        }
+        return true;
+    }
+
+    // initialize prev row for i = 0: dp[0][j] = j for j in [0 .. min(m, limit)]
+    let prevJmin = 0;
+    let prevJmax = Math.min(m, limit);
+    let prev = new Array(prevJmax - prevJmin + 1);
+    for (let j = prevJmin; j <= prevJmax; j++) {
+        prev[j - prevJmin] = j;
+    }
+
+    for (let i = 1; i <= n; i++) {
+        const jmin = Math.max(0, i - limit);
+        const jmax = Math.min(m, i + limit);
+        const currLen = jmax - jmin + 1;
+        const curr = new Array(currLen);
+        let minRow = Infinity;
+
+        for (let j = jmin; j <= jmax; j++) {
+            const idx = j - jmin;
+            let del = Infinity;
+            let ins = Infinity;
+            let sub = Infinity;
+
+            // delete: from prev[j] + 1
+            if (j >= prevJmin && j <= prevJmax) {
+                del = prev[j - prevJmin] + 1;
+            }
+
+            // insert: from curr[j-1] +1
+            if (j - 1 >= jmin) {
+                ins = curr[(j - 1) - jmin] + 1;
+            }
+
+            // substitution/match: from prev[j-1] + (0|1)
+            if (j - 1 >= prevJmin && j - 1 <= prevJmax) {
+                const eq = codonAt(sample, i - 1) === codonAt(reference, j - 1);
+                sub = prev[(j - 1) - prevJmin] + (eq ? 0 : 1);
+            }
+
+            const best = Math.min(del, ins, sub);
+            curr[idx] = best;
+            if (best < minRow) minRow = best;
+        }
+
+        if (minRow > limit) return false;
+        prev = curr;
+        prevJmin = jmin;
+        prevJmax = jmax;
+    }
+
+    if (m < prevJmin || m > prevJmax) return false;
+    const finalVal = prev[m - prevJmin];
+    return finalVal <= limit;
+}
+
+// Codon index 0..63, or -1 for anything outside CGAT
+const BASE_INDEX = { C: 0, G: 1, A: 2, T: 3 };
+
+// Signature: how often each of the 64 codons occurs. One inserted or deleted
+// codon moves the histogram by 1 and a substitution by 2, so two samples
+// within `limit` edits are always within 2 * limit of each other; the
+// prefilter can never reject a genuine match.
+function sampleSignature(sample) {
+    const sig = new Array(64).fill(0);
+    for (let i = 0; i + 2 < sample.length; i += 3) {
+        const idx =
+            BASE_INDEX[sample[i]] * 16 + BASE_INDEX[sample[i + 1]] * 4 + BASE_INDEX[sample[i + 2]];
+        sig[idx] += 1;
+    }
+    return {
+        sig,
+        len: sample.length / 3,
+        fingerprint: crypto.createHash('sha256').update(sample, 'utf8').digest('hex')
+    };
+}
+
+// Same tolerance rule login has always used
+function editLimit(refCodons) {
+    return Math.floor(refCodons / 100000);
+}
+
+function mayBeSimilar(signature, ref) {
+    const limit = editLimit(ref.len);
+    if (Math.abs(signature.len - ref.len) > limit) return false;
+
+    let distance = 0;
+    for (let i = 0; i < 64; i++) {
+        distance += Math.abs(signature.sig[i] - (ref.sig[i] || 0));
+        if (distance > 2 * limit) return false;
+    }
+    return true;
+}
+
+/****************************
+ * SAMPLE STORAGE
+ ****************************/
+function samplePath(fingerprint) {
+    return path.join(SAMPLES_DIR, fingerprint + '.dna');
+}
+
+// Content-addressed, so storing the same sample twice is harmless
+async function storeSample(fingerprint, sample) {
+    if (!SAMPLES_DIR) {
+        memorySamples.set(fingerprint, sample);
+        return;
+    }
+    await fs.promises.mkdir(SAMPLES_DIR, { recursive: true });
+    const tmp = samplePath(fingerprint) + '.tmp';
+    await fs.promises.writeFile(tmp, sample, 'utf8');
+    await fs.promises.rename(tmp, samplePath(fingerprint));
+}
+
+function removeSample(fingerprint) {
+    if (!SAMPLES_DIR) {
+        memorySamples.delete(fingerprint);
+        return;
+    }
+    fs.promises.unlink(samplePath(fingerprint)).catch((err) => {
+        if (err.code !== 'ENOENT') console.error('Failed to remove DNA sample:', err.message);
+    });
+}
+
+/****************************
+ * WORKER JOBS
+ ****************************/
+// `owners` are opaque client keys the per-client limit is counted against
+function runJob(job, owners = []) {
+    if (owners.some((owner) => (clientJobs.get(owner) || 0) >= MAX_DNA_JOBS_PER_CLIENT)) {
+        return Promise.resolve({ ok: false, status: 429, message: 'Too many DNA jobs in progress', retryAfter: 1 });
+    }
+    if (runningJobs >= MAX_DNA_JOBS && jobQueue.length >= MAX_DNA_QUEUE) {
+        return Promise.resolve({ ok: false, status: 503, message: 'DNA matcher busy', retryAfter: 1 });
+    }
+
+    for (const owner of owners) clientJobs.set(owner, (clientJobs.get(owner) || 0) + 1);
+    return new Promise((resolve) => {
+        jobQueue.push({ job, owners, resolve });
+        startJobs();
+    });
+}
+
+function startJobs() {
+    while (runningJobs < MAX_DNA_JOBS && jobQueue.length > 0) {
+        const entry = jobQueue.shift();
+        runningJobs += 1;
+        runWorker(entry.job).then((result) => {
+            runningJobs -= 1;
+            for (const owner of entry.owners) {
+                const left = clientJobs.get(owner) - 1;
+                if (left > 0) clientJobs.set(owner, left);
+                else clientJobs.delete(owner);
+            }
+            entry.resolve(result);
+            startJobs();
+        });
+    }
+}
+
+function runWorker(job) {
+    return new Promise((resolve) => {
+        const worker = new Worker(path.join(__dirname, 'dna-worker.js'), { workerData: job });
+        let settled = false;
+        const finish = (result) => {
+            if (settled) return;
+            settled = true;
+            resolve(result);
+        };
+        worker.once('message', (result) => finish(Object.assign({ ok: true }, result)));
+        worker.once('error', (err) => {
+            console.error('DNA worker failed:', err.message);
+            finish({ ok: false, status: 500, message: 'DNA matching failed' });
+        });
+        worker.once('exit', () => finish({ ok: false, status: 500, message: 'DNA matching failed' }));
+    });
+}
+
+/**
+ * Validates a sample and computes its signature:
+ * { ok, valid, signature: { sig, len, fingerprint } }.
+ */
+function analyzeSample(sample, owners) {
+    return runJob({ op: 'analyze', sample }, owners);
+}
+
+/**
+ * Looks for an enrolled sample similar to `sample` among `stored`
+ * signatures: { ok, valid, fingerprint } with fingerprint null if none.
+ */
+function findMatchingSample(sample, stored, owners) {
+    const candidates = stored.map((ref) => ({
+        sig: ref.sig,
+        len: ref.len,
+        fingerprint: ref.fingerprint,
+        file: SAMPLES_DIR ? samplePath(ref.fingerprint) : null,
+        sample: SAMPLES_DIR ? null : memorySamples.get(ref.fingerprint) || null
+    }));
+    return runJob({ op: 'match', sample, candidates }, owners);
+}
+
+module.exports = {
+    validateDnaSample,
+    isDnaSimilar,
+    sampleSignature,
+    editLimit,
+    mayBeSimilar,
+    storeSample,
+    removeSample,
+    analyzeSample,
+    findMatchingSample
+};
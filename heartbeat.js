@@ -0,0 +1,41 @@
+// heartbeat.js
+// Server-side liveness for WebSocket servers: every interval each socket gets
+// a protocol-level ping, and sockets that stayed silent since the previous
+// round are terminated.
+const HEARTBEAT_INTERVAL_MS = Number(process.env.WS_HEARTBEAT_INTERVAL_MS) || 30000;
+
+function markAlive(ws) {
+    ws.isAlive = true;
+}
+
+/**
+ * Starts reaping dead connections of `wss`. Pongs and any incoming message
+ * count as a sign of life; callers may also call markAlive() themselves.
+ */
+function startHeartbeat(wss, intervalMs = HEARTBEAT_INTERVAL_MS) {
+    wss.on('connection', (ws) => {
+        markAlive(ws);
+        ws.on('pong', () => markAlive(ws));
+        ws.on('message', () => markAlive(ws));
+    });
+
+    const timer = setInterval(() => {
+        for (const ws of wss.clients) {
+            if (!ws.isAlive) {
+                ws.terminate();
+                continue;
+            }
+            ws.isAlive = false;
+            ws.ping();
+        }
+    }, intervalMs);
+    timer.unref();
+
+    return timer;
+}
+
+module.exports = {
+    HEARTBEAT_INTERVAL_MS,
+    markAlive,
+    startHeartbeat
+};
@@ -0,0 +1,404 @@
+// journal.js
+// Append-only event journal with periodic compacted snapshots.
+//
+// Every state change is appended as one JSON line to journal.log before the
+// request is answered. Every JOURNAL_SNAPSHOT_EVERY events the registered
+// stores are written to snapshot.json (tmp file + rename) and the journal is
+// truncated. Recovery restores the snapshot and replays the journal tail.
+//
+// History that only ever grows (closed orders, trades) stays out of the
+// snapshot: each compaction appends just the entries added since the last one
+// to history.log, and the snapshot records how many bytes of it it covers.
+// That keeps the cost of a compaction independent of how long the exchange
+// has been running.
+const fs = require('fs');
+const path = require('path');
+const clock = require('./clock');
+
+const PERSISTENT_DIR = process.env.PERSISTENT_DIR;
+const JOURNAL_FILE = PERSISTENT_DIR ? path.join(PERSISTENT_DIR, 'journal.log') : null;
+const SNAPSHOT_FILE = PERSISTENT_DIR ? path.join(PERSISTENT_DIR, 'snapshot.json') : null;
+const HISTORY_FILE = PERSISTENT_DIR ? path.join(PERSISTENT_DIR, 'history.log') : null;
+
+// always   - fsync after every append (an acknowledged event is never lost)
+// interval - fsync every JOURNAL_FSYNC_INTERVAL_MS
+// never    - leave flushing to the OS
+const FSYNC_POLICY = process.env.JOURNAL_FSYNC || 'always';
+const FSYNC_INTERVAL_MS = Number(process.env.JOURNAL_FSYNC_INTERVAL_MS) || 100;
+const SNAPSHOT_EVERY = Number(process.env.JOURNAL_SNAPSHOT_EVERY) || 10000;
+
+// History is written and read in chunks, never as one string
+const HISTORY_CHUNK_LINES = 1000;
+const HISTORY_CHUNK_BYTES = 1024 * 1024;
+
+// name -> { snapshot(), restore(state), apply(type, data), loadLegacy(),
+//           history(), loadHistory(entry) }
+// history() (optional) returns the store's append-only list; recovery hands
+// its entries back one by one to loadHistory() after restore().
+const stores = new Map();
+
+let fd = null;
+let seq = 0;
+let eventsSinceSnapshot = 0;
+// Events since the last compaction attempt; a failed one waits for the next
+// SNAPSHOT_EVERY events instead of retrying on every append
+let eventsSinceAttempt = 0;
+let historyFd = null;
+// Bytes of history.log covered by the last snapshot
+let historyBytes = 0;
+// name -> number of history() entries already in history.log
+const historyCounts = new Map();
+let batch = null;
+let dirty = false;
+let replaying = false;
+
+/****************************
+ * STORE REGISTRATION
+ ****************************/
+function registerStore(name, handlers) {
+    stores.set(name, handlers);
+}
+
+/****************************
+ * LOW-LEVEL FILE HELPERS
+ ****************************/
+function fsyncDir(dir) {
+    try {
+        const dfd = fs.openSync(dir, 'r');
+        fs.fsyncSync(dfd);
+        fs.closeSync(dfd);
+    } catch (err) {
+        // Not supported on every platform; the rename itself is still atomic
+    }
+}
+
+function writeLine(line) {
+    fs.writeSync(fd, line);
+    if (FSYNC_POLICY === 'always') {
+        fs.fsyncSync(fd);
+    } else {
+        dirty = true;
+    }
+}
+
+function flush() {
+    if (fd === null || !dirty) return;
+    try {
+        fs.fsyncSync(fd);
+        dirty = false;
+    } catch (err) {
+        console.error('Failed to fsync journal:', err.message);
+    }
+}
+
+/****************************
+ * APPEND / BATCH
+ ****************************/
+function isEnabled() {
+    return fd !== null && !replaying;
+}
+
+function appendEvent(store, type, data) {
+    if (!isEnabled()) return;
+
+    const event = { store, type, data };
+    if (batch) {
+        batch.push(event);
+        return;
+    }
+
+    seq += 1;
+    writeLine(JSON.stringify(Object.assign({ seq, ts: clock.now() }, event)) + '\n');
+    afterAppend(1);
+}
+
+// Events appended inside a batch are written as a single journal line, so a
+// crash can never persist half of it. A batch only exists while the call
+// that opened it runs (see batched and atomically), so a later request can
+// never end up inside a batch left behind by an earlier one.
+function commitBatch() {
+    const events = batch;
+    batch = null;
+    if (events.length === 0) return;
+
+    seq += 1;
+    writeLine(JSON.stringify({ seq, ts: clock.now(), type: 'BATCH', events }) + '\n');
+    afterAppend(events.length);
+}
+
+// Runs fn in a batch that is committed when fn returns, or dropped when it
+// returns false or throws. Calls from inside an open batch just join it.
+function batched(fn) {
+    if (!isEnabled() || batch) return fn();
+    batch = [];
+    let keep = false;
+    try {
+        const result = fn();
+        keep = result !== false;
+        return result;
+    } finally {
+        if (keep) commitBatch();
+        else batch = null;
+    }
+}
+
+// Runs fn so that everything it appends becomes one journal record. Unlike
+// batched(), a throw still commits: what fn changed is already in memory.
+// Inside a batch that is already open (bulk) the events just join it.
+function atomically(fn) {
+    if (!isEnabled() || batch) return fn();
+    batch = [];
+    try {
+        return fn();
+    } finally {
+        commitBatch();
+    }
+}
+
+function afterAppend(count) {
+    eventsSinceSnapshot += count;
+    eventsSinceAttempt += count;
+    if (eventsSinceAttempt >= SNAPSHOT_EVERY) {
+        compact();
+    }
+}
+
+/****************************
+ * SNAPSHOTS
+ ****************************/
+// Appends the history entries added since the last snapshot and returns the
+// new file length and per-store counts. Bytes past historyBytes are left
+// over from a compaction that failed, so they are cut first.
+function writeHistory() {
+    fs.ftruncateSync(historyFd, historyBytes);
+    let bytes = historyBytes;
+    const counts = new Map();
+
+    for (const [name, store] of stores) {
+        if (!store.history) continue;
+        const list = store.history();
+        for (let from = historyCounts.get(name) || 0; from < list.length; from += HISTORY_CHUNK_LINES) {
+            const lines = list
+                .slice(from, from + HISTORY_CHUNK_LINES)
+                .map((entry) => JSON.stringify({ store: name, data: entry }) + '\n');
+            const chunk = lines.join('');
+            fs.writeSync(historyFd, chunk);
+            bytes += Buffer.byteLength(chunk, 'utf8');
+        }
+        counts.set(name, list.length);
+    }
+
+    fs.fsyncSync(historyFd);
+    return { bytes, counts };
+}
+
+function writeSnapshot(history) {
+    const state = {};
+    for (const [name, store] of stores) {
+        state[name] = store.snapshot();
+    }
+
+    const tmp = SNAPSHOT_FILE + '.tmp';
+    const tfd = fs.openSync(tmp, 'w');
+    fs.writeSync(tfd, JSON.stringify({ seq, createdAt: clock.now(), historyBytes: history.bytes, state }));
+    fs.fsyncSync(tfd);
+    fs.closeSync(tfd);
+    fs.renameSync(tmp, SNAPSHOT_FILE);
+    fsyncDir(PERSISTENT_DIR);
+}
+
+// Extends the history, writes a snapshot and starts a fresh journal. A crash
+// between the steps is harmless: recovery cuts history the snapshot does not
+// cover, and replay skips events the snapshot already has.
+function compact() {
+    if (fd === null) return;
+    eventsSinceAttempt = 0;
+    try {
+        const history = writeHistory();
+        writeSnapshot(history);
+        historyBytes = history.bytes;
+        for (const [name, count] of history.counts) historyCounts.set(name, count);
+
+        fs.ftruncateSync(fd, 0);
+        fs.fsyncSync(fd);
+        dirty = false;
+        eventsSinceSnapshot = 0;
+    } catch (err) {
+        console.error('Failed to compact journal:', err.message);
+    }
+}
+
+/****************************
+ * RECOVERY
+ ****************************/
+function applyEvent(event) {
+    if (event.type === 'BATCH') {
+        for (const e of event.events) applyEvent(e);
+        return;
+    }
+
+    const store = stores.get(event.store);
+    if (!store) {
+        console.error('Journal event for unknown store:', event.store);
+        return;
+    }
+    store.apply(event.type, event.data);
+}
+
+// Hands the first `length` bytes of history.log back to the stores, then
+// cuts whatever follows (left over from a compaction that never finished).
+function loadHistory(length) {
+    // Entries a store restored inline (older snapshots) are not in the file yet
+    const inline = new Map();
+    for (const [name, store] of stores) {
+        if (store.history) inline.set(name, store.history().length);
+    }
+
+    if (fs.existsSync(HISTORY_FILE)) {
+        const hfd = fs.openSync(HISTORY_FILE, 'r+');
+        try {
+            const size = fs.fstatSync(hfd).size;
+            if (size < length) {
+                console.error('history.log is shorter than the snapshot expects:', size, '<', length);
+                length = size;
+            }
+            readHistoryLines(hfd, length);
+            if (size > length) fs.ftruncateSync(hfd, length);
+        } finally {
+            fs.closeSync(hfd);
+        }
+    } else {
+        length = 0;
+    }
+
+    historyBytes = length;
+    for (const [name, count] of inline) {
+        historyCounts.set(name, stores.get(name).history().length - count);
+    }
+}
+
+function readHistoryLines(hfd, length) {
+    const buf = Buffer.alloc(HISTORY_CHUNK_BYTES);
+    let carry = '';
+    let pos = 0;
+
+    while (pos < length) {
+        const n = fs.readSync(hfd, buf, 0, Math.min(buf.length, length - pos), pos);
+        if (n === 0) break;
+        pos += n;
+
+        const text = carry + buf.toString('utf8', 0, n);
+        const lines = text.split('\n');
+        carry = lines.pop();
+        for (const line of lines) {
+            if (line) loadHistoryLine(line);
+        }
+    }
+}
+
+function loadHistoryLine(line) {
+    const entry = JSON.parse(line);
+    const store = stores.get(entry.store);
+    if (store && store.loadHistory) store.loadHistory(entry.data);
+}
+
+function readSnapshot() {
+    if (!fs.existsSync(SNAPSHOT_FILE)) return null;
+    const raw = fs.readFileSync(SNAPSHOT_FILE, 'utf8');
+    return raw ? JSON.parse(raw) : null;
+}
+
+// Replays journal lines newer than `fromSeq`. A torn trailing line (crash
+// mid-write, never acknowledged) is cut off so new appends start cleanly.
+function replayJournal(fromSeq) {
+    if (!fs.existsSync(JOURNAL_FILE)) return 0;
+
+    const raw = fs.readFileSync(JOURNAL_FILE, 'utf8');
+    let offset = 0;
+    let replayed = 0;
+
+    while (offset < raw.length) {
+        const nl = raw.indexOf('\n', offset);
+        if (nl === -1) break;
+
+        let event;
+        try {
+            event = JSON.parse(raw.slice(offset, nl));
+        } catch (err) {
+            break;
+        }
+
+        if (event.seq > fromSeq) {
+            applyEvent(event);
+            seq = event.seq;
+            replayed += 1;
+        }
+        offset = nl + 1;
+    }
+
+    const validBytes = Buffer.byteLength(raw.slice(0, offset), 'utf8');
+    if (validBytes < Buffer.byteLength(raw, 'utf8')) {
+        console.error('Discarding torn journal tail after seq', seq);
+        fs.truncateSync(JOURNAL_FILE, validBytes);
+    }
+
+    return replayed;
+}
+
+/**
+ * Restores every registered store from the latest snapshot plus the journal,
+ * then opens the journal for appending. Without a snapshot the stores load
+ * their legacy *-state.json files and an initial snapshot is written.
+ */
+function recover() {
+    if (!PERSISTENT_DIR) return;
+    fs.mkdirSync(PERSISTENT_DIR, { recursive: true });
+
+    replaying = true;
+    let snapshot = null;
+    try {
+        snapshot = readSnapshot();
+    } catch (err) {
+        console.error('Failed to read snapshot:', err.message);
+    }
+
+    if (snapshot) {
+        seq = snapshot.seq || 0;
+        for (const [name, store] of stores) {
+            store.restore(snapshot.state[name] || null);
+        }
+        // Older snapshots carried their history inline and cover none of the file
+        loadHistory(snapshot.historyBytes || 0);
+    } else {
+        for (const store of stores.values()) {
+            if (store.loadLegacy) store.loadLegacy();
+        }
+        loadHistory(0);
+    }
+
+    const replayed = replayJournal(seq);
+    replaying = false;
+
+    fd = fs.openSync(JOURNAL_FILE, 'a');
+    historyFd = fs.openSync(HISTORY_FILE, 'a');
+    eventsSinceSnapshot = replayed;
+    eventsSinceAttempt = replayed;
+
+    if (!snapshot || replayed >= SNAPSHOT_EVERY) {
+        compact();
+    }
+
+    if (FSYNC_POLICY === 'interval') {
+        setInterval(flush, FSYNC_INTERVAL_MS).unref();
+    }
+    process.on('exit', flush);
+}
+
+module.exports = {
+    registerStore,
+    appendEvent,
+    batched,
+    atomically,
+    compact,
+    recover
+};
@@ -0,0 +1,354 @@
+// order-entry.js
+// Authenticated, bidirectional WebSocket session for V2 order entry. Requests
+// run through the same engine calls as the REST routes and every response
+// echoes the client's request_id.
+//
+// Client -> server:
+//   { type: 'create', request_id?, side, price, quantity, delivery_start, delivery_end, execution_type?,
+//     order_type?, trigger_price?, display_quantity?, expires_at?, post_only?, min_quantity?, stp_mode? }
+//   { type: 'modify', request_id?, order_id, price, quantity, post_only?, min_quantity? }
+//   { type: 'cancel', request_id?, order_id }
+//   { type: 'cancel_on_disconnect', request_id?, enabled (0|1), grace_ms? }
+// Server -> client:
+//   { type: 'response', request_id, code, message?, order_id?, status?, price?, filled_quantity? }
+//   { type: 'cancel_on_disconnect_report', timestamp, order_ids }
+// `code` is the status code the matching REST route would have returned.
+// Every request is audited like its REST counterpart.
+//
+// Cancel-on-disconnect: once enabled, losing the session (closed, or reaped
+// by the heartbeat) starts a grace timer. Unless a session of the user enables
+// cancel-on-disconnect in time, all of their resting V2 orders are cancelled,
+// and the next session they open starts with a report of what was cancelled.
+// Sessions that never opt in leave the timer running. Reports are journaled
+// with the cancels they describe, so a restart does not lose them.
+//
+// Sessions are captured for replay like HTTP requests (see capture.js).
+const WebSocket = require('ws');
+const { encodeMessage, decodeMessage, listOfStrings } = require('./galacticbuf');
+const {
+    authenticateUpgrade,
+    isUpgradeAuthActive,
+    authEvents
+} = require('./auth');
+const {
+    placeOrderV2,
+    modifyOrderV2,
+    cancelOrderV2,
+    cancelAllOrdersV2
+} = require('./orders');
+const { recordTradeAndBroadcast } = require('./trade-stream');
+const { recordAudit } = require('./audit');
+const journal = require('./journal');
+const clock = require('./clock');
+const { startHeartbeat } = require('./heartbeat');
+const {
+    captureUpgrade,
+    captureMessage,
+    captureClose,
+    replayClockSocket,
+    setReplayableTimeout,
+    clearReplayableTimeout
+} = require('./capture');
+
+const wss = new WebSocket.Server({ noServer: true });
+startHeartbeat(wss);
+
+const DEFAULT_COD_GRACE_MS = Number(process.env.CANCEL_ON_DISCONNECT_GRACE_MS) || 5000;
+const MAX_COD_GRACE_MS = 5 * 60 * 1000;
+
+const sessionsByLogin = new Map(); // auth session id -> Set(ws)
+const sessionsByApiKey = new Map(); // API key id -> Set(ws)
+const sessionsByUser = new Map();  // username -> Set(ws)
+
+const pendingCancels = new Map(); // username -> grace timer
+const cancelReports = new Map();  // username -> report not yet delivered
+
+/****************************
+ * PERSISTENCE HELPERS
+ ****************************/
+function addCancelReport(username, timestamp, orderIds) {
+    const report = cancelReports.get(username) || { timestamp: 0, orderIds: [] };
+    report.timestamp = timestamp;
+    report.orderIds.push(...orderIds);
+    cancelReports.set(username, report);
+}
+
+function snapshotCancelReports() {
+    return {
+        reports: Array.from(cancelReports.entries()).map(([username, report]) => ({
+            username,
+            timestamp: report.timestamp,
+            orderIds: report.orderIds.slice()
+        }))
+    };
+}
+
+function restoreCancelReports(data) {
+    cancelReports.clear();
+    if (!data || !Array.isArray(data.reports)) return;
+
+    for (const r of data.reports) {
+        if (typeof r.username === 'string' && Array.isArray(r.orderIds)) {
+            addCancelReport(r.username, r.timestamp, r.orderIds.map(String));
+        }
+    }
+}
+
+function applyCancelReportEvent(type, data) {
+    if (type === 'COD_CANCELLED') {
+        addCancelReport(data.username, data.timestamp, data.orderIds);
+    } else if (type === 'COD_REPORT_DELIVERED') {
+        cancelReports.delete(data.username);
+    }
+}
+
+journal.registerStore('order-entry', {
+    snapshot: snapshotCancelReports,
+    restore: restoreCancelReports,
+    apply: applyCancelReportEvent
+});
+
+/****************************
+ * SESSION INDEX
+ ****************************/
+function addSession(index, key, ws) {
+    if (!index.has(key)) index.set(key, new Set());
+    index.get(key).add(ws);
+}
+
+function removeSession(index, key, ws) {
+    const set = index.get(key);
+    if (!set) return;
+    set.delete(ws);
+    if (set.size === 0) index.delete(key);
+}
+
+/****************************
+ * CANCEL ON DISCONNECT
+ ****************************/
+// The cancels and their report are journaled as one record
+function cancelAllForUser(username) {
+    journal.atomically(() => {
+        const cancelled = cancelAllOrdersV2(username);
+        if (cancelled.length === 0) return;
+
+        const event = { username, timestamp: clock.now(), orderIds: cancelled };
+        addCancelReport(event.username, event.timestamp, event.orderIds);
+        journal.appendEvent('order-entry', 'COD_CANCELLED', event);
+    });
+}
+
+function armCancelOnDisconnect(ws) {
+    // Another session that still guards the orders takes over
+    const sessions = sessionsByUser.get(ws.username);
+    if (sessions) {
+        for (const other of sessions) {
+            if (other.cancelOnDisconnect) return;
+        }
+    }
+
+    clearReplayableTimeout(pendingCancels.get(ws.username));
+    const timer = setReplayableTimeout(() => {
+        pendingCancels.delete(ws.username);
+        cancelAllForUser(ws.username);
+    }, ws.cancelOnDisconnect.graceMs);
+    pendingCancels.set(ws.username, timer);
+}
+
+function disarmCancelOnDisconnect(username) {
+    const timer = pendingCancels.get(username);
+    if (!timer) return;
+    clearReplayableTimeout(timer);
+    pendingCancels.delete(username);
+}
+
+function sendCancelReport(ws) {
+    const report = cancelReports.get(ws.username);
+    if (!report) return;
+    cancelReports.delete(ws.username);
+    journal.appendEvent('order-entry', 'COD_REPORT_DELIVERED', { username: ws.username });
+
+    ws.send(encodeMessage({
+        type: 'cancel_on_disconnect_report',
+        timestamp: report.timestamp,
+        order_ids: listOfStrings(report.orderIds)
+    }));
+}
+
+function setCancelOnDisconnect(ws, msg) {
+    if (msg.enabled !== 0 && msg.enabled !== 1) {
+        return { code: 400, message: 'enabled must be 0 or 1' };
+    }
+    if (msg.enabled === 0) {
+        ws.cancelOnDisconnect = null;
+        return { code: 200 };
+    }
+
+    const graceMs = msg.grace_ms === undefined ? DEFAULT_COD_GRACE_MS : msg.grace_ms;
+    if (!Number.isInteger(graceMs) || graceMs < 0 || graceMs > MAX_COD_GRACE_MS) {
+        return { code: 400, message: 'grace_ms must be an integer between 0 and ' + MAX_COD_GRACE_MS };
+    }
+    ws.cancelOnDisconnect = { graceMs };
+
+    // This session now guards the orders a dropped one left behind
+    disarmCancelOnDisconnect(ws.username);
+    return { code: 200 };
+}
+
+/****************************
+ * REQUESTS
+ ****************************/
+// Returns the frame sent, if any
+function respond(ws, requestId, fields) {
+    if (ws.readyState !== WebSocket.OPEN) return null;
+    try {
+        const frame = encodeMessage(Object.assign({ type: 'response', request_id: requestId }, fields));
+        ws.send(frame);
+        return frame;
+    } catch (err) {
+        console.error('Failed to send order entry response:', err.message);
+        return null;
+    }
+}
+
+function orderResponse(result) {
+    if (!result.ok) return { code: result.status, message: result.message || '' };
+    return {
+        code: 200,
+        order_id: result.order.orderId,
+        status: result.order.status,
+        price: result.order.price,
+        filled_quantity: result.filledQuantity
+    };
+}
+
+function handleRequest(ws, data) {
+    let msg;
+    try {
+        msg = decodeMessage(Buffer.isBuffer(data) ? data : Buffer.from(data));
+    } catch (err) {
+        return respond(ws, undefined, { code: 400, message: 'Invalid GalacticBuf message' });
+    }
+
+    const requestId = msg.request_id;
+
+    // The login or key may have been revoked or expired since the upgrade;
+    // access token rotation alone keeps the session alive
+    if (!isUpgradeAuthActive(ws.auth, ws.ip)) {
+        const frame = respond(ws, requestId, { code: 401 });
+        ws.close(1008, 'Token revoked');
+        return frame;
+    }
+
+    // A throw must not escape the 'message' listener (it would take the
+    // process down); the client still gets a response for its request_id
+    let fields;
+    try {
+        fields = runRequest(ws, msg);
+    } catch (err) {
+        console.error('Order entry request failed:', err);
+        fields = { code: 500, message: 'Internal server error' };
+    }
+    try {
+        recordAudit({
+            action: 'WS ' + msg.type,
+            actor: ws.username,
+            ip: ws.ip,
+            requestId,
+            fields: msg,
+            status: fields.code
+        });
+    } catch (err) {
+        console.error('Failed to audit order entry request:', err.message);
+    }
+    return respond(ws, requestId, fields);
+}
+
+function runRequest(ws, msg) {
+    if (msg.type === 'create') {
+        return orderResponse(placeOrderV2(ws.username, msg, recordTradeAndBroadcast));
+    }
+
+    if (msg.type === 'modify') {
+        return orderResponse(modifyOrderV2(ws.username, msg.order_id, msg, recordTradeAndBroadcast));
+    }
+
+    if (msg.type === 'cancel') {
+        const result = cancelOrderV2(ws.username, msg.order_id);
+        if (!result.ok) return { code: result.status, message: result.message || '' };
+        return { code: 204, order_id: msg.order_id };
+    }
+
+    if (msg.type === 'cancel_on_disconnect') {
+        return setCancelOnDisconnect(ws, msg);
+    }
+
+    return { code: 400, message: 'Unknown message type' };
+}
+
+function closeSessions(index, ids) {
+    for (const id of ids) {
+        const sessions = index.get(id);
+        if (!sessions) continue;
+        for (const ws of sessions) ws.close(1008, 'Token revoked');
+    }
+}
+
+// Sessions die with their login or API key, like the private stream
+authEvents.on('sessions-revoked', (username, revoked) => closeSessions(sessionsByLogin, revoked));
+authEvents.on('api-keys-revoked', (username, revoked) => closeSessions(sessionsByApiKey, revoked));
+
+/****************************
+ * UPGRADE
+ ****************************/
+function rejectUpgrade(socket, status, text) {
+    socket.write(`HTTP/1.1 ${status} ${text}\r\nConnection: close\r\n\r\n`);
+    socket.destroy();
+}
+
+/**
+ * Upgrades /v2/stream/order-entry for a login session or an API key with the
+ * trade scope (see authenticateUpgrade).
+ */
+function handleUpgrade(request, socket, head, url) {
+    captureUpgrade(request, (session) => upgrade(request, socket, head, url, session));
+}
+
+// Returns the status the upgrade was answered with
+function upgrade(request, socket, head, url, session) {
+    const auth = authenticateUpgrade(request, url, 'trade');
+    if (!auth.ok) {
+        rejectUpgrade(socket, auth.status, auth.message);
+        return auth.status;
+    }
+    const username = auth.username;
+    const index = auth.apiKeyId ? sessionsByApiKey : sessionsByLogin;
+    const loginId = auth.apiKeyId || auth.sessionId;
+
+    wss.handleUpgrade(request, socket, head, (ws) => {
+        ws.auth = auth;
+        ws.username = username;
+        ws.ip = request.socket.remoteAddress;
+        ws.cancelOnDisconnect = null;
+
+        addSession(index, loginId, ws);
+        addSession(sessionsByUser, username, ws);
+
+        ws.on('close', () => captureClose(session, () => {
+            removeSession(index, loginId, ws);
+            removeSession(sessionsByUser, username, ws);
+            if (ws.cancelOnDisconnect) armCancelOnDisconnect(ws);
+        }));
+
+        replayClockSocket(ws);
+        ws.on('message', (data) => captureMessage(session, data, () => handleRequest(ws, data)));
+        wss.emit('connection', ws, request);
+
+        sendCancelReport(ws);
+    });
+    return 101;
+}
+
+module.exports = {
+    handleUpgrade
+};
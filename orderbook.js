@@ -0,0 +1,194 @@
+// orderbook.js
+// Per-contract order book: price levels with FIFO queues for bids and asks.
+
+/****************************
+ * CONTRACT KEYS
+ ****************************/
+function contractKey(deliveryStart, deliveryEnd) {
+    return deliveryStart + ':' + deliveryEnd;
+}
+
+/****************************
+ * SIDE BOOK
+ ****************************/
+// A side keeps its prices sorted best-first (bids descending, asks ascending).
+// Each level holds its resting orders in a Map, which iterates in insertion
+// order and therefore doubles as the FIFO time-priority queue.
+function createSideBook(side) {
+    return {
+        side,
+        prices: [],
+        levels: new Map()
+    };
+}
+
+function isBetter(sideBook, a, b) {
+    return sideBook.side === 'BUY' ? a > b : a < b;
+}
+
+function findPriceIndex(sideBook, price) {
+    const prices = sideBook.prices;
+    let lo = 0;
+    let hi = prices.length;
+    while (lo < hi) {
+        const mid = (lo + hi) >>> 1;
+        if (isBetter(sideBook, prices[mid], price)) lo = mid + 1;
+        else hi = mid;
+    }
+    return lo;
+}
+
+function getOrCreateLevel(sideBook, price) {
+    let level = sideBook.levels.get(price);
+    if (level) return level;
+
+    level = { price, quantity: 0, orders: new Map() };
+    sideBook.levels.set(price, level);
+    sideBook.prices.splice(findPriceIndex(sideBook, price), 0, price);
+    return level;
+}
+
+function dropLevel(sideBook, level) {
+    sideBook.levels.delete(level.price);
+    const idx = findPriceIndex(sideBook, level.price);
+    if (sideBook.prices[idx] === level.price) {
+        sideBook.prices.splice(idx, 1);
+    }
+}
+
+function bestLevel(sideBook) {
+    if (sideBook.prices.length === 0) return null;
+    return sideBook.levels.get(sideBook.prices[0]);
+}
+
+/****************************
+ * CONTRACT BOOK
+ ****************************/
+function createBook(deliveryStart, deliveryEnd) {
+    return {
+        deliveryStart,
+        deliveryEnd,
+        bids: createSideBook('BUY'),
+        asks: createSideBook('SELL'),
+        // levels touched since the last takeLevelChanges()
+        changes: new Map()
+    };
+}
+
+function touchLevel(book, side, price) {
+    book.changes.set(side + ':' + price, { side, price });
+}
+
+function sideOf(book, side) {
+    return side === 'BUY' ? book.bids : book.asks;
+}
+
+function oppositeOf(book, side) {
+    return side === 'BUY' ? book.asks : book.bids;
+}
+
+// Appends the order at the back of its price level.
+function addOrder(book, order) {
+    const level = getOrCreateLevel(sideOf(book, order.side), order.price);
+    level.orders.set(order.orderId, order);
+    level.quantity += order.quantity;
+    touchLevel(book, order.side, order.price);
+}
+
+function removeOrder(book, order) {
+    const sideBook = sideOf(book, order.side);
+    const level = sideBook.levels.get(order.price);
+    if (!level || !level.orders.has(order.orderId)) return false;
+
+    level.orders.delete(order.orderId);
+    level.quantity -= order.quantity;
+    if (level.orders.size === 0) dropLevel(sideBook, level);
+    touchLevel(book, order.side, order.price);
+    return true;
+}
+
+// Reduces a resting order by qty, removing it from its level once empty.
+// The caller is responsible for the order's status fields.
+function fillOrder(book, order, qty) {
+    const sideBook = sideOf(book, order.side);
+    const level = sideBook.levels.get(order.price);
+
+    order.quantity -= qty;
+    if (level) {
+        level.quantity -= qty;
+        touchLevel(book, order.side, order.price);
+    }
+
+    if (order.quantity <= 0) {
+        order.quantity = 0;
+        if (level) {
+            level.orders.delete(order.orderId);
+            if (level.orders.size === 0) dropLevel(sideBook, level);
+        }
+    }
+}
+
+function crosses(side, price, levelPrice) {
+    return side === 'BUY' ? price >= levelPrice : price <= levelPrice;
+}
+
+// Iterates the resting orders an incoming order at `price` would match,
+// best level first and FIFO within a level. The callback returns false to
+// stop. The book must not be mutated while iterating.
+function forEachCrossing(book, side, price, fn) {
+    const opp = oppositeOf(book, side);
+    for (const p of opp.prices) {
+        if (!crosses(side, price, p)) return;
+        for (const rest of opp.levels.get(p).orders.values()) {
+            if (fn(rest) === false) return;
+        }
+    }
+}
+
+// Aggregated state of every level touched since the previous call; a level
+// that no longer exists is reported with quantity 0.
+function takeLevelChanges(book) {
+    const changes = [];
+    for (const { side, price } of book.changes.values()) {
+        const level = sideOf(book, side).levels.get(price);
+        changes.push({
+            side,
+            price,
+            quantity: level ? level.quantity : 0,
+            orderCount: level ? level.orders.size : 0
+        });
+    }
+    book.changes.clear();
+    return changes;
+}
+
+function aggregateLevels(sideBook) {
+    return sideBook.prices.map((p) => {
+        const level = sideBook.levels.get(p);
+        return { price: p, quantity: level.quantity, orderCount: level.orders.size };
+    });
+}
+
+function levelOrders(sideBook) {
+    const list = [];
+    for (const p of sideBook.prices) {
+        for (const o of sideBook.levels.get(p).orders.values()) list.push(o);
+    }
+    return list;
+}
+
+module.exports = {
+    contractKey,
+    createBook,
+    sideOf,
+    oppositeOf,
+    bestLevel,
+    addOrder,
+    removeOrder,
+    fillOrder,
+    crosses,
+    forEachCrossing,
+    takeLevelChanges,
+    aggregateLevels,
+    levelOrders
+};
@@ -1,9 +1,25 @@
 // orders.js
 const crypto = require('crypto');
+const { EventEmitter } = require('events');
 const fs = require('fs');
 const path = require('path');
 const { getBalance } = require('./trades');
-const { getCollateral } = require('./auth');
+const { getCollateral, getStpMode, getAccountStatus, STP_MODES } = require('./auth');
+const journal = require('./journal');
+const clock = require('./clock');
+const {
+    contractKey,
+    createBook,
+    oppositeOf,
+    bestLevel,
+    addOrder,
+    removeOrder,
+    fillOrder,
+    crosses,
+    takeLevelChanges,
+    aggregateLevels,
+    levelOrders
+} = require('./orderbook');
 
 const PERSISTENT_DIR = process.env.PERSISTENT_DIR;
 const ORDERS_STATE_FILE = PERSISTENT_DIR
@@ -11,89 +27,431 @@ const ORDERS_STATE_FILE = PERSISTENT_DIR
     : null;
 
 const ONE_HOUR_MS = 3600000;
-
-// global order list
-const orders = [];
+const ORDER_EXPIRY_SWEEP_MS = Number(process.env.ORDER_EXPIRY_SWEEP_MS) || 1000;
+
+// active orders by id (V1 and V2)
+const openOrders = new Map();
+// contractKey -> V2 order book
+const books = new Map();
+// contractKey -> Map(orderId -> active V1 order)
+const legacyOrders = new Map();
+// username -> Map(orderId -> active V2 order)
+const userOpenOrders = new Map();
+// contractKey -> Map(orderId -> stop order waiting for its trigger)
+const stopOrders = new Map();
+// contractKey -> { low, high } of trade prices not yet checked against stops
+const tradedRanges = new Map();
+// contractKey -> Map(orderId -> open GTD order)
+const expiringOrders = new Map();
+// filled / cancelled orders, oldest first; never consulted by matching
+const archive = [];
+const archiveById = new Map();
+// username -> that user's part of the archive, oldest first (for exports)
+const archiveByUser = new Map();
+
+// Lifecycle of live V2 orders ('order' events); journal replay emits nothing
+const orderEvents = new EventEmitter();
+// Aggregated price-level changes after each live operation ('levels' events)
+const bookEvents = new EventEmitter();
 
 /****************************
- * PERSISTENCE HELPERS
+ * INDEX HELPERS
  ****************************/
-function loadOrdersState() {
-    if (!ORDERS_STATE_FILE) {
-        orders.length = 0;
+function getBook(ds, de) {
+    return books.get(contractKey(ds, de)) || null;
+}
+
+function ensureBook(ds, de) {
+    const key = contractKey(ds, de);
+    let book = books.get(key);
+    if (!book) {
+        book = createBook(ds, de);
+        books.set(key, book);
+    }
+    return book;
+}
+
+function indexOrder(order) {
+    openOrders.set(order.orderId, order);
+
+    if (!order.isV2) {
+        const key = contractKey(order.deliveryStart, order.deliveryEnd);
+        if (!legacyOrders.has(key)) legacyOrders.set(key, new Map());
+        legacyOrders.get(key).set(order.orderId, order);
         return;
     }
 
-    try {
-        if (!fs.existsSync(ORDERS_STATE_FILE)) {
-            orders.length = 0;
-            return;
-        }
+    if (order.status === 'PENDING') {
+        const key = contractKey(order.deliveryStart, order.deliveryEnd);
+        if (!stopOrders.has(key)) stopOrders.set(key, new Map());
+        stopOrders.get(key).set(order.orderId, order);
+    } else {
+        addOrder(ensureBook(order.deliveryStart, order.deliveryEnd), order);
+    }
+    if (!userOpenOrders.has(order.user)) userOpenOrders.set(order.user, new Map());
+    userOpenOrders.get(order.user).set(order.orderId, order);
 
-        const raw = fs.readFileSync(ORDERS_STATE_FILE, 'utf8');
-        if (!raw) {
-            orders.length = 0;
-            return;
+    if (order.expiresAt !== undefined) {
+        const key = contractKey(order.deliveryStart, order.deliveryEnd);
+        if (!expiringOrders.has(key)) expiringOrders.set(key, new Map());
+        expiringOrders.get(key).set(order.orderId, order);
+    }
+}
+
+function unindexOrder(order) {
+    openOrders.delete(order.orderId);
+
+    if (!order.isV2) {
+        const legacy = legacyOrders.get(contractKey(order.deliveryStart, order.deliveryEnd));
+        if (legacy) legacy.delete(order.orderId);
+        return;
+    }
+
+    if (order.status === 'PENDING') {
+        const key = contractKey(order.deliveryStart, order.deliveryEnd);
+        const waiting = stopOrders.get(key);
+        if (waiting) {
+            waiting.delete(order.orderId);
+            if (waiting.size === 0) stopOrders.delete(key);
         }
+    } else {
+        const book = getBook(order.deliveryStart, order.deliveryEnd);
+        if (book) removeOrder(book, order);
+    }
 
-        const data = JSON.parse(raw);
-        orders.length = 0;
-
-        if (Array.isArray(data.orders)) {
-            for (const o of data.orders) {
-                if (
-                    o.isV2 &&
-                    o.active === true &&
-                    Number.isInteger(o.quantity) &&
-                    o.quantity > 0 &&
-                    Number.isInteger(o.deliveryStart) &&
-                    Number.isInteger(o.deliveryEnd)
-                ) {
-                    orders.push({
-                        orderId: String(o.orderId),
-                        user: String(o.user),
-                        side: o.side === 'BUY' ? 'BUY' : 'SELL',
-                        price: o.price,
-                        quantity: o.quantity,
-                        originalQuantity: o.originalQuantity || o.quantity,
-                        deliveryStart: o.deliveryStart,
-                        deliveryEnd: o.deliveryEnd,
-                        active: true,
-                        status: 'ACTIVE',
-                        createdAt: o.createdAt || Date.now(),
-                        isV2: true
-                    });
-                }
-            }
+    const mine = userOpenOrders.get(order.user);
+    if (mine) {
+        mine.delete(order.orderId);
+        if (mine.size === 0) userOpenOrders.delete(order.user);
+    }
+
+    if (order.expiresAt !== undefined) {
+        const key = contractKey(order.deliveryStart, order.deliveryEnd);
+        const expiring = expiringOrders.get(key);
+        if (expiring) {
+            expiring.delete(order.orderId);
+            if (expiring.size === 0) expiringOrders.delete(key);
         }
+    }
+}
 
-        orders.sort((a, b) => a.createdAt - b.createdAt);
+function archiveOrder(order) {
+    archive.push(order);
+    archiveById.set(order.orderId, order);
+    if (!archiveByUser.has(order.user)) archiveByUser.set(order.user, []);
+    archiveByUser.get(order.user).push(order);
+}
 
-    } catch (err) {
-        console.error('Failed to load orders state:', err.message);
+function unarchiveLast() {
+    const order = archive.pop();
+    archiveById.delete(order.orderId);
+    const mine = archiveByUser.get(order.user);
+    mine.pop();
+    if (mine.length === 0) archiveByUser.delete(order.user);
+}
+
+// Takes an order off the book and moves it to the archive.
+function closeOrder(order, status) {
+    unindexOrder(order);
+    order.quantity = 0;
+    if (order.hiddenQuantity) order.hiddenQuantity = 0;
+    order.active = false;
+    order.status = status;
+    archiveOrder(order);
+}
 
-        orders.length = 0;
+function findOrder(orderId) {
+    return openOrders.get(orderId) || archiveById.get(orderId) || null;
+}
+
+// Visible slice plus the hidden reserve of an iceberg
+function remainingQuantity(order) {
+    return order.quantity + (order.hiddenQuantity || 0);
+}
+
+// Reduces an open order by a fill, closing it once nothing is left. An
+// iceberg whose slice runs out gets a new one from its reserve, queued at the
+// back of its level as of `replenishedAt`.
+function applyFill(order, qty, replenishedAt) {
+    const book = order.isV2 ? ensureBook(order.deliveryStart, order.deliveryEnd) : null;
+    if (book) {
+        fillOrder(book, order, qty);
+    } else {
+        order.quantity -= qty;
     }
+    if (order.quantity > 0) return;
+
+    if (book && order.hiddenQuantity > 0) {
+        const slice = Math.min(order.displayQuantity, order.hiddenQuantity);
+        order.hiddenQuantity -= slice;
+        order.quantity = slice;
+        order.createdAt = replenishedAt;
+        addOrder(book, order);
+        return;
+    }
+    closeOrder(order, 'FILLED');
+}
+
+// Fills a resting order and journals the fill, with the replenishment time
+// when an iceberg slice runs out so replay rebuilds the same queue.
+function fillResting(order, qty) {
+    const event = { orderId: order.orderId, quantity: qty };
+    if (qty >= order.quantity && order.hiddenQuantity > 0) event.replenishedAt = clock.now();
+    applyFill(order, qty, event.replenishedAt);
+    journal.appendEvent('orders', 'ORDER_FILLED', event);
+}
+
+// Applies the outcome of a modification. A requeued order goes to the back of
+// its (possibly new) level; otherwise it only shrinks in place.
+function applyModify(order, change) {
+    const book = ensureBook(order.deliveryStart, order.deliveryEnd);
+
+    if (!change.requeue) {
+        fillOrder(book, order, order.quantity - change.quantity);
+        if (change.hiddenQuantity !== undefined) order.hiddenQuantity = change.hiddenQuantity;
+        return;
+    }
+
+    removeOrder(book, order);
+    order.price = change.price;
+    order.originalQuantity = change.originalQuantity;
+    order.createdAt = change.createdAt;
+    order.quantity = change.quantity;
+    if (change.hiddenQuantity !== undefined) order.hiddenQuantity = change.hiddenQuantity;
+
+    if (order.quantity > 0) addOrder(book, order);
+    else closeOrder(order, change.cancelled ? 'CANCELLED' : 'FILLED');
+}
+
+/****************************
+ * ORDER EVENTS
+ ****************************/
+// `order` is copied so listeners that buffer events see it as it was.
+function emitOrderEvent(type, order, fill) {
+    if (orderEvents.listenerCount('order') === 0) return;
+    orderEvents.emit('order', {
+        type,
+        user: order.user,
+        order: Object.assign({}, order),
+        fillQuantity: fill ? fill.quantity : 0,
+        fillPrice: fill ? fill.price : null,
+        timestamp: clock.now()
+    });
+}
+
+function emitFill(order, quantity, price) {
+    if (order.quantity > 0) {
+        emitOrderEvent('partial_fill', order, { quantity, price });
+    } else {
+        emitOrderEvent('filled', Object.assign({}, order, { status: 'FILLED' }), { quantity, price });
+    }
+}
+
+function publishBookChanges(book) {
+    const changes = takeLevelChanges(book);
+    if (changes.length === 0 || bookEvents.listenerCount('levels') === 0) return;
+    bookEvents.emit('levels', {
+        deliveryStart: book.deliveryStart,
+        deliveryEnd: book.deliveryEnd,
+        changes
+    });
+}
+
+function clearOrders() {
+    openOrders.clear();
+    books.clear();
+    legacyOrders.clear();
+    userOpenOrders.clear();
+    stopOrders.clear();
+    tradedRanges.clear();
+    expiringOrders.clear();
+    archive.length = 0;
+    archiveById.clear();
+    archiveByUser.clear();
+}
+
+/****************************
+ * PERSISTENCE HELPERS
+ ****************************/
+// Snapshots carry the open orders only; the archive of closed ones is the
+// store's history (see journal.js), so order history survives compaction
+// without being rewritten by it. Older snapshots still carry it inline.
+function restoreOrdersState(data) {
+    clearOrders();
+    if (!data || !Array.isArray(data.orders)) return;
+
+    if (Array.isArray(data.archive)) {
+        for (const o of data.archive) loadArchivedOrder(o);
+    }
+
+    const loaded = [];
+    for (const o of data.orders) {
+        const order = restoredOrder(o);
+        if (order) loaded.push(order);
+    }
+
+    // Listed in queue order (see openOrdersInQueueOrder)
+    for (const o of loaded) indexOrder(o);
+}
+
+// Rebuilds one open order from persisted state, keeping only known fields.
+// Returns null for anything that could not be put back on a book.
+function restoredOrder(o) {
+    if (
+        o.active !== true ||
+        !Number.isInteger(o.quantity) ||
+        o.quantity <= 0 ||
+        !Number.isInteger(o.deliveryStart) ||
+        !Number.isInteger(o.deliveryEnd)
+    ) {
+        return null;
+    }
+
+    const order = {
+        orderId: String(o.orderId),
+        user: String(o.user),
+        side: o.side === 'BUY' ? 'BUY' : 'SELL',
+        price: o.price,
+        quantity: o.quantity,
+        originalQuantity: o.originalQuantity || o.quantity,
+        deliveryStart: o.deliveryStart,
+        deliveryEnd: o.deliveryEnd,
+        active: true,
+        status: o.isV2 && o.status === 'PENDING' ? 'PENDING' : 'ACTIVE',
+        createdAt: o.createdAt || clock.now(),
+        isV2: !!o.isV2
+    };
+
+    // Stop orders keep their type once triggered; a PENDING one goes back
+    // to the stop index and needs its trigger
+    if (ORDER_TYPES.includes(o.orderType)) {
+        order.orderType = o.orderType;
+        order.triggerPrice = o.triggerPrice;
+    }
+    if (EXECUTION_TYPES.includes(o.executionType)) order.executionType = o.executionType;
+    if (order.status === 'PENDING' && (!order.orderType || !Number.isInteger(order.triggerPrice))) {
+        return null;
+    }
+
+    // Icebergs keep their partly filled slice; it never shows more than the
+    // display size and anything beyond goes back to the hidden reserve
+    if (order.isV2 && Number.isInteger(o.displayQuantity) && o.displayQuantity > 0) {
+        const hidden = Number.isInteger(o.hiddenQuantity) && o.hiddenQuantity > 0 ? o.hiddenQuantity : 0;
+        const total = order.quantity + hidden;
+        order.displayQuantity = o.displayQuantity;
+        order.quantity = Math.min(order.quantity, o.displayQuantity);
+        order.hiddenQuantity = total - order.quantity;
+    }
+
+    // GTD orders go back into the expiry index; the sweep retires any that
+    // expired while the server was down
+    if (order.isV2 && Number.isInteger(o.expiresAt)) order.expiresAt = o.expiresAt;
+
+    // Later modifications still honour the post-only mode it was placed with
+    if (order.isV2 && POST_ONLY_MODES.includes(o.postOnly)) order.postOnly = o.postOnly;
+
+    // An order's own STP mode wins over its owner's account setting
+    if (order.isV2 && STP_MODES.includes(o.stpMode)) order.stpMode = o.stpMode;
+
+    return order;
 }
 
+function loadArchivedOrder(o) {
+    if (typeof o.orderId === 'string' && typeof o.status === 'string') {
+        archiveOrder(Object.assign({}, o));
+    }
+}
 
-function saveOrdersState() {
+// Legacy full-file state, imported once when no journal snapshot exists yet
+function loadOrdersState() {
     if (!ORDERS_STATE_FILE) return;
+
     try {
-        const data = { orders };
-        fs.mkdirSync(PERSISTENT_DIR, { recursive: true });
-        fs.writeFileSync(ORDERS_STATE_FILE, JSON.stringify(data));
+        if (!fs.existsSync(ORDERS_STATE_FILE)) return;
+
+        const raw = fs.readFileSync(ORDERS_STATE_FILE, 'utf8');
+        if (!raw) return;
+
+        // The legacy file has no queue order; time priority is the best guess
+        const data = JSON.parse(raw);
+        if (data && Array.isArray(data.orders)) data.orders.sort((a, b) => a.createdAt - b.createdAt);
+        restoreOrdersState(data);
     } catch (err) {
-        console.error('Failed to save orders state:', err.message);
+        console.error('Failed to load orders state:', err.message);
+
+        clearOrders();
+    }
+}
+
+// Open orders listed so that indexing them one by one rebuilds every price
+// level's FIFO queue: book orders level by level, then everything else.
+// Timestamps can't do that, they tie under a fixed clock.
+function openOrdersInQueueOrder() {
+    const list = [];
+    const listed = new Set();
+    for (const book of books.values()) {
+        for (const o of levelOrders(book.bids).concat(levelOrders(book.asks))) {
+            list.push(o);
+            listed.add(o.orderId);
+        }
+    }
+    for (const o of openOrders.values()) {
+        if (!listed.has(o.orderId)) list.push(o);
+    }
+    return list;
+}
+
+function snapshotOrdersState() {
+    return { orders: openOrdersInQueueOrder() };
+}
+
+function applyOrdersEvent(type, data) {
+    if (type === 'ORDER_ACCEPTED') {
+        const order = Object.assign({}, data);
+        if (order.active) indexOrder(order);
+        else archiveOrder(order);
+        return;
+    }
+
+    const o = openOrders.get(data.orderId);
+    if (!o) return;
+
+    if (type === 'ORDER_FILLED') {
+        applyFill(o, data.quantity, data.replenishedAt);
+    } else if (type === 'ORDER_MODIFIED') {
+        applyModify(o, data);
+    } else if (type === 'ORDER_CANCELLED') {
+        closeOrder(o, 'CANCELLED');
+    } else if (type === 'ORDER_EXPIRED') {
+        closeOrder(o, 'EXPIRED');
+    } else if (type === 'ORDER_TRIGGERED') {
+        // `data` is the stop order as it came out of its activation
+        unindexOrder(o);
+        Object.assign(o, data);
+        if (o.active) indexOrder(o);
+        else archiveOrder(o);
     }
 }
 
-// Load persisted orders on module load
-loadOrdersState();
+journal.registerStore('orders', {
+    snapshot: snapshotOrdersState,
+    restore: restoreOrdersState,
+    apply: applyOrdersEvent,
+    loadLegacy: loadOrdersState,
+    history: () => archive,
+    loadHistory: loadArchivedOrder
+});
 
 /***********************************************************
  * BASIC UTILITIES
  ***********************************************************/
+// GTD rests like GTC until its expires_at
+const EXECUTION_TYPES = ['GTC', 'GTD', 'IOC', 'FOK'];
+
+function restsOnBook(execType) {
+    return execType === 'GTC' || execType === 'GTD';
+}
+
 function generateOrderId() {
     return crypto.randomBytes(16).toString('hex');
 }
@@ -129,8 +487,13 @@ function validateOrderFields(price, quantity, deliveryStart, deliveryEnd) {
 /***********************************************************
  * TRADING WINDOW HELPER
  ***********************************************************/
+// Gate closure: trading in a contract stops 1 minute before delivery starts
+function gateClosureTime(deliveryStart) {
+    return deliveryStart - 60000;
+}
+
 function checkTradingWindow(deliveryStart) {
-    const now = Date.now();
+    const now = clock.now();
 
     // Calculate Open Time: Midnight UTC, 15 days before delivery starts
     const d = new Date(deliveryStart);
@@ -138,8 +501,7 @@ function checkTradingWindow(deliveryStart) {
     d.setUTCHours(0, 0, 0, 0);
     const openTime = d.getTime();
 
-    // Calculate Close Time: 1 minute before delivery starts
-    const closeTime = deliveryStart - 60000;
+    const closeTime = gateClosureTime(deliveryStart);
 
     if (now < openTime) {
         return { ok: false, status: 425, message: 'Contract is not yet tradeable' };
@@ -156,39 +518,45 @@ function checkTradingWindow(deliveryStart) {
 /***********************************************************
  * POTENTIAL BALANCE — REQUIRED FOR COLLATERAL
  ***********************************************************/
+// Effect of a resting order on the potential balance: buys reduce it,
+// sells add to it (negative prices flip the sign on their own).
+function potentialEffect(side, price, quantity) {
+    const value = price * quantity;
+    return side === 'BUY' ? -value : value;
+}
+
+// Stop (market) orders have no price; until they trigger their trigger
+// price stands in for it.
+function reservedPrice(order) {
+    return order.price === null ? order.triggerPrice : order.price;
+}
+
 function computePotentialBalance(username) {
     let pot = getBalance(username); // current balance
 
-    for (const o of orders) {
-        if (!o.isV2 || !o.active || o.quantity <= 0) continue;
-        if (o.user !== username) continue;
-
-        const value = o.price * o.quantity;
+    const mine = userOpenOrders.get(username);
+    if (!mine) return pot;
 
-        if (value > 0) {
-            if (o.side === 'BUY') pot -= value;   // buys reduce balance
-            else pot += value;                    // sells receive money
-        } else {
-            // negative prices flip effect
-            if (o.side === 'BUY') pot -= value;
-            else pot += value;
-        }
+    for (const o of mine.values()) {
+        pot += potentialEffect(o.side, reservedPrice(o), remainingQuantity(o));
     }
 
     return pot;
 }
 
-function violatesCollateral(username) {
+// `delta` is the potential-balance change of a pending placement or
+// modification, so the check can run before the book is touched.
+function violatesCollateral(username, delta = 0) {
     const col = getCollateral(username); // null = unlimited
     if (col === null) return false;
 
-    const pot = computePotentialBalance(username);
+    const pot = computePotentialBalance(username) + delta;
     return pot < -col;
 }
 
 
 /***********************************************************
- * V1: createOrder, getOrdersForWindow, findAndFillOrder
+ * V1: createOrder, getOrdersForWindow, findAndFillOrder, cancelAllOrdersV1
  ***********************************************************/
 function createOrder(username, fields) {
     const price = fields.price;
@@ -202,7 +570,7 @@ function createOrder(username, fields) {
     }
 
     const orderId = generateOrderId();
-    const now = Date.now();
+    const now = clock.now();
     const order = {
         orderId,
         user: username,
@@ -218,45 +586,256 @@ function createOrder(username, fields) {
         isV2: false
     };
 
-    orders.push(order);
-    saveOrdersState();
+    indexOrder(order);
+    journal.appendEvent('orders', 'ORDER_ACCEPTED', order);
 
     return { ok: true, order };
 }
 
 function getOrdersForWindow(start, end) {
-    const list = orders.filter(
-        (o) =>
-            o.active &&
-            o.side === 'SELL' &&
-            o.deliveryStart === start &&
-            o.deliveryEnd === end
-    );
-    list.sort((a, b) => a.price - b.price);
+    const legacy = legacyOrders.get(contractKey(start, end));
+    const book = getBook(start, end);
+
+    const list = legacy ? Array.from(legacy.values()) : [];
+    if (book) list.push(...levelOrders(book.asks));
+
+    list.sort((a, b) => a.price - b.price || a.createdAt - b.createdAt);
     return list;
 }
 
 function findAndFillOrder(orderId) {
-    const o = orders.find((x) => x.orderId === orderId);
+    const o = openOrders.get(orderId);
     if (!o || !o.active) {
         return { ok: false, status: 404, message: 'Order not found or inactive' };
     }
+    // Disabled and closed accounts must not pick up new positions
+    const ownerStatus = getAccountStatus(o.user);
+    if (ownerStatus && ownerStatus !== 'active') {
+        return { ok: false, status: 404, message: 'Order not found or inactive' };
+    }
 
     const filledQty = o.quantity;
-    o.quantity = 0;
-    o.active = false;
-    o.status = 'FILLED';
-
-    saveOrdersState();
+    fillResting(o, filledQty);
+    if (o.isV2) {
+        // A trade on a V2 book can trigger its stop orders; the caller runs
+        // runStopTriggers() once the trade is recorded
+        const book = ensureBook(o.deliveryStart, o.deliveryEnd);
+        noteTradePrice(book, o.price);
+        publishBookChanges(book);
+    }
 
     return { ok: true, order: o, filledQuantity: filledQty };
 }
 
 
+// Cancels every open V1 order of a user; returns the cancelled ids.
+function cancelAllOrdersV1(username) {
+    const mine = [];
+    for (const legacy of legacyOrders.values()) {
+        for (const o of legacy.values()) {
+            if (o.user === username) mine.push(o);
+        }
+    }
+
+    for (const o of mine) {
+        closeOrder(o, 'CANCELLED');
+        journal.appendEvent('orders', 'ORDER_CANCELLED', { orderId: o.orderId });
+    }
+    return mine.map((o) => o.orderId);
+}
+
+
 /***********************************************************
  * V2: MATCHING ENGINE (with self-match prevention & collateral)
  ***********************************************************/
+// Executes `taker` against the opposite side of `book` for up to `quantity`.
+// Only the levels that cross `limitPrice` are visited (market orders pass
+// +/-Infinity). Returns the filled and remaining quantity; `stopped` means
+// self-trade prevention cancelled the taker's remainder.
+function matchAgainstBook(book, taker, quantity, recordTradeFn, limitPrice = taker.price) {
+    const opp = oppositeOf(book, taker.side);
+    const stpMode = stpModeOf(taker);
+    let remaining = quantity;
+    let filled = 0;
+    let stopped = false;
+
+    while (remaining > 0 && !stopped) {
+        const level = bestLevel(opp);
+        if (!level || !crosses(taker.side, limitPrice, level.price)) break;
+
+        for (const rest of level.orders.values()) {
+            if (remaining <= 0) break;
+
+            if (rest.user === taker.user) {
+                const outcome = preventSelfTrade(rest, remaining, stpMode);
+                remaining -= outcome.decrement;
+                taker.quantity = remaining;
+                if (outcome.stopTaker) {
+                    stopped = true;
+                    break;
+                }
+                continue;
+            }
+
+            const tq = Math.min(remaining, rest.quantity);
+            const buyer = taker.side === 'BUY' ? taker.user : rest.user;
+            const seller = taker.side === 'SELL' ? taker.user : rest.user;
+
+            recordTradeFn({
+                buyerId: buyer,
+                sellerId: seller,
+                buyerUsername: buyer,
+                sellerUsername: seller,
+                price: rest.price,
+                quantity: tq,
+                delivery_start: book.deliveryStart,
+                delivery_end: book.deliveryEnd,
+                timestamp: clock.now(),
+                isV2: true
+            });
+            noteTradePrice(book, rest.price);
+
+            fillResting(rest, tq);
+
+            remaining -= tq;
+            taker.quantity = remaining;
+
+            emitFill(rest, tq, rest.price);
+            emitFill(taker, tq, rest.price);
+            filled += tq;
+        }
+    }
+
+    return { filled, remaining, stopped };
+}
+
+// Dry run of an incoming order against the book under `stpMode`: whether it
+// would be rejected for self-matching, what it would fill and what would be
+// left over, and the value traded. Icebergs are followed through their
+// replenishments in queue order.
+function simulateCrossing(book, side, limitPrice, quantity, username, stpMode = 'none') {
+    const opp = oppositeOf(book, side);
+    let remaining = quantity;
+    let filled = 0;
+    let value = 0;
+
+    for (const p of opp.prices) {
+        if (remaining <= 0 || !crosses(side, limitPrice, p)) break;
+
+        const queue = Array.from(opp.levels.get(p).orders.values(), (o) => ({
+            order: o,
+            visible: o.quantity,
+            hidden: o.hiddenQuantity || 0
+        }));
+        for (let i = 0; i < queue.length && remaining > 0; i++) {
+            const entry = queue[i];
+
+            // If we reach here, we WOULD match with this order
+            if (entry.order.user === username) {
+                if (stpMode === 'none') return { selfMatch: true, remaining, filled, value };
+                if (stpMode === 'cancel-newest' || stpMode === 'cancel-both') {
+                    return { selfMatch: false, remaining, filled, value };
+                }
+                if (stpMode === 'decrement-and-cancel') {
+                    remaining -= Math.min(remaining, entry.visible + entry.hidden);
+                }
+                continue;
+            }
+
+            // Deduct from simulation to see if we reach the next order
+            const q = Math.min(remaining, entry.visible);
+            remaining -= q;
+            filled += q;
+            value += p * q;
+
+            if (q === entry.visible && entry.hidden > 0) {
+                const slice = Math.min(entry.order.displayQuantity, entry.hidden);
+                queue.push({ order: entry.order, visible: slice, hidden: entry.hidden - slice });
+            }
+        }
+    }
+
+    return { selfMatch: false, remaining, filled, value };
+}
+
+/***********************************************************
+ * V2: SELF-TRADE PREVENTION
+ ***********************************************************/
+// What happens when an incoming order (a new, modified or triggered one)
+// would trade with a resting order of the same user. The order's stp_mode
+// wins over the account's (see setStpMode in auth.js):
+//   none                 - the incoming order is rejected up front (412)
+//   cancel-newest        - the incoming order's remainder is cancelled
+//   cancel-oldest        - the resting order is cancelled, matching goes on
+//   cancel-both          - both are cancelled
+//   decrement-and-cancel - both shrink by the smaller remainder without a
+//                          trade; whichever reaches zero is cancelled
+function stpModeOf(order) {
+    return order.stpMode || getStpMode(order.user);
+}
+
+// Applies the taker's mode to one of its owner's resting orders. Returns how
+// much the taker shrinks and whether it stops matching.
+function preventSelfTrade(rest, remaining, stpMode) {
+    if (stpMode === 'cancel-oldest' || stpMode === 'cancel-both') {
+        cancelOpenOrder(rest);
+        return { decrement: 0, stopTaker: stpMode === 'cancel-both' };
+    }
+    if (stpMode === 'decrement-and-cancel') {
+        const restQty = remainingQuantity(rest);
+        const decrement = Math.min(remaining, restQty);
+        if (decrement === restQty) cancelOpenOrder(rest);
+        else shrinkOrder(rest, restQty - decrement);
+        return { decrement, stopTaker: decrement === remaining };
+    }
+    // cancel-newest ('none' is rejected before matching starts)
+    return { decrement: 0, stopTaker: true };
+}
+
+/***********************************************************
+ * V2: POST-ONLY / MINIMUM QUANTITY
+ ***********************************************************/
+// post_only 1 (or 'REJECT') refuses an order that would take liquidity;
+// 'REPRICE' moves it one tick inside the best opposite price instead.
+const POST_ONLY_MODES = ['REJECT', 'REPRICE'];
+
+function parsePostOnly(value) {
+    if (value === undefined || value === 0) return { ok: true, mode: null };
+    const mode = value === 1 ? 'REJECT' : typeof value === 'string' ? value.toUpperCase() : null;
+    if (!POST_ONLY_MODES.includes(mode)) {
+        return { ok: false, status: 400, message: 'post_only must be 0, 1, REJECT or REPRICE' };
+    }
+    return { ok: true, mode };
+}
+
+// The price a post-only order rests at, or null if it has to be rejected
+function postOnlyPrice(book, side, price, mode) {
+    const best = book ? bestLevel(oppositeOf(book, side)) : null;
+    if (!best || !crosses(side, price, best.price)) return price;
+    if (mode === 'REJECT') return null;
+    return side === 'BUY' ? best.price - 1 : best.price + 1;
+}
+
+// Shared by create and modify; `quantity` is the size that would match
+function validateExecutionFlags(postOnly, minQuantity, quantity) {
+    if (minQuantity === undefined) return { ok: true };
+    if (!Number.isInteger(minQuantity) || minQuantity <= 0 || minQuantity > quantity) {
+        return { ok: false, status: 400, message: 'min_quantity must be a positive integer no larger than quantity' };
+    }
+    if (postOnly) {
+        return { ok: false, status: 400, message: 'post_only and min_quantity cannot be combined' };
+    }
+    return { ok: true };
+}
+
+// The makers' fills, the trades and the taker itself (plus any stop orders
+// it triggers) are journaled as one record, so a crash never leaves half a
+// match behind.
 function placeOrderV2(username, fields, recordTradeFn) {
+    return journal.atomically(() => runPlaceOrderV2(username, fields, recordTradeFn));
+}
+
+function runPlaceOrderV2(username, fields, recordTradeFn) {
     const rawSide = fields.side;
     if (!rawSide || typeof rawSide !== 'string') {
         return { ok: false, status: 400, message: 'side is required (BUY or SELL)' };
@@ -266,92 +845,115 @@ function placeOrderV2(username, fields, recordTradeFn) {
         return { ok: false, status: 400, message: 'side must be BUY or SELL' };
     }
 
-    const price = fields.price;
+    const orderType = typeof fields.order_type === 'string' ? fields.order_type.toUpperCase() : 'LIMIT';
+    if (!ORDER_TYPES.includes(orderType)) {
+        return { ok: false, status: 400, message: 'Invalid order_type. Must be LIMIT, STOP, or STOP_LIMIT' };
+    }
+    const isStop = orderType !== 'LIMIT';
+
+    // STOP orders execute at market once triggered, so they take no price
+    let price = orderType === 'STOP' ? null : fields.price;
+    if (orderType === 'STOP' && fields.price !== undefined) {
+        return { ok: false, status: 400, message: 'STOP orders take no price; use STOP_LIMIT' };
+    }
+    const triggerPrice = isStop ? fields.trigger_price : null;
+    if (isStop && !Number.isInteger(triggerPrice)) {
+        return { ok: false, status: 400, message: 'trigger_price must be an integer' };
+    }
+
     const quantity = fields.quantity;
     const ds = fields.delivery_start;
     const de = fields.delivery_end;
 
-    const execType = fields.execution_type || 'GTC';
-    if (!['GTC', 'IOC', 'FOK'].includes(execType)) {
-        return { ok: false, status: 400, message: 'Invalid execution_type. Must be GTC, IOC, or FOK' };
+    const execType = fields.execution_type || (orderType === 'STOP' ? 'IOC' : 'GTC');
+    if (!EXECUTION_TYPES.includes(execType)) {
+        return { ok: false, status: 400, message: 'Invalid execution_type. Must be GTC, GTD, IOC, or FOK' };
+    }
+    if (orderType === 'STOP' && restsOnBook(execType)) {
+        return { ok: false, status: 400, message: 'STOP orders execute as IOC or FOK' };
     }
 
-    const v = validateOrderFields(price, quantity, ds, de);
+    const expiresAt = fields.expires_at;
+    if (execType === 'GTD') {
+        if (!Number.isInteger(expiresAt) || expiresAt <= clock.now()) {
+            return { ok: false, status: 400, message: 'GTD orders need an expires_at in the future' };
+        }
+    } else if (expiresAt !== undefined) {
+        return { ok: false, status: 400, message: 'expires_at is only valid for GTD orders' };
+    }
+
+    const v = validateOrderFields(price === null ? triggerPrice : price, quantity, ds, de);
     if (!v.ok) {
         return { ok: false, status: 400, message: v.message };
     }
 
+    const display = fields.display_quantity;
+    if (display !== undefined) {
+        if (!Number.isInteger(display) || display <= 0 || display >= quantity) {
+            return { ok: false, status: 400, message: 'display_quantity must be a positive integer below quantity' };
+        }
+        if (isStop || !restsOnBook(execType)) {
+            return { ok: false, status: 400, message: 'display_quantity is only supported on GTC and GTD limit orders' };
+        }
+    }
+
+    const postOnly = parsePostOnly(fields.post_only);
+    if (!postOnly.ok) return postOnly;
+    if (postOnly.mode && (isStop || !restsOnBook(execType))) {
+        return { ok: false, status: 400, message: 'post_only is only supported on GTC and GTD limit orders' };
+    }
+    const minQuantity = fields.min_quantity;
+    if (minQuantity !== undefined && isStop) {
+        return { ok: false, status: 400, message: 'min_quantity is not supported on stop orders' };
+    }
+    const flags = validateExecutionFlags(postOnly.mode, minQuantity, quantity);
+    if (!flags.ok) return flags;
+
+    const stpMode = fields.stp_mode;
+    if (stpMode !== undefined && !STP_MODES.includes(stpMode)) {
+        return { ok: false, status: 400, message: 'stp_mode must be one of ' + STP_MODES.join(', ') };
+    }
+
     const windowCheck = checkTradingWindow(ds);
     if (!windowCheck.ok) return windowCheck;
-    // --- COLLATERAL CHECK (simulate new order) ---
-    // --- COLLATERAL CHECK (simulate new order) ---
-    const tmp = {
-        isV2: true,
-        active: true,
-        user: username,
-        side,
-        price,
-        quantity,
-        deliveryStart: ds,
-        deliveryEnd: de
-    };
-    orders.push(tmp);
-    const violates = violatesCollateral(username);
-    orders.pop();
 
-    if (violates) {
+    // GTD orders the sweep has not reached yet must not trade
+    expireContract(contractKey(ds, de), clock.now());
+
+    if (postOnly.mode) {
+        price = postOnlyPrice(getBook(ds, de), side, price, postOnly.mode);
+        if (price === null) return { ok: false, status: 409, message: 'Post-only order would take liquidity' };
+    }
+
+    // --- COLLATERAL CHECK (simulate new order) ---
+    const reserved = price === null ? triggerPrice : price;
+    if (violatesCollateral(username, potentialEffect(side, reserved, quantity))) {
         return { ok: false, status: 402, message: 'Insufficient collateral' };
     }
 
-    // --- PREPARE CANDIDATES FOR MATCHING/SIMULATION ---
-    // --- PREPARE CANDIDATES FOR MATCHING/SIMULATION ---
-    const oppSide = side === 'BUY' ? 'SELL' : 'BUY';
-    const candidates = orders.filter(
-        (o) =>
-            o.isV2 &&
-            o.active &&
-            o.side === oppSide &&
-            o.deliveryStart === ds &&
-            o.deliveryEnd === de &&
-            o.quantity > 0
-    );
-
-    // Sort by Best Price, then FIFO
-    // Sort by Best Price, then FIFO
-    if (side === 'BUY') {
-        candidates.sort((a, b) => a.price - b.price || a.createdAt - b.createdAt);
-    } else {
-        candidates.sort((a, b) => b.price - a.price || a.createdAt - b.createdAt);
+    if (isStop) {
+        return placeStopOrder(username, {
+            orderType, side, price, triggerPrice, quantity, execType, expiresAt, stpMode, ds, de
+        });
     }
 
-    // -----------------------------
     // -----------------------------
     // SELF-MATCH SIMULATION
     // Simulate the execution to see if it *actually* reaches a self-match.
     // -----------------------------
-    // Simulate the execution to see if it *actually* reaches a self-match.
-    // -----------------------------
-    let simRemaining = quantity;
-    for (const rest of candidates) {
-        if (simRemaining <= 0) break;
-
-        // Price crossing check
-        // Price crossing check
-        if (side === 'BUY' && price < rest.price) break;
-        if (side === 'SELL' && price > rest.price) break;
-
-        // If we reach here, we WOULD match with rest
-        if (rest.user === username) {
-            return { ok: false, status: 412, message: 'Self-match prevented' };
-        }
+    const book = ensureBook(ds, de);
+    const sim = simulateCrossing(book, side, price, quantity, username, stpMode || getStpMode(username));
 
-        // Deduct from simulation to see if we reach the next order
-        // Deduct from simulation to see if we reach the next order
-        const tq = Math.min(simRemaining, rest.quantity);
-        simRemaining -= tq;
+    if (sim.selfMatch) {
+        return { ok: false, status: 412, message: 'Self-match prevented' };
     }
 
-    if (execType === 'FOK' && simRemaining > 0) {
+    if (minQuantity !== undefined && sim.filled < minQuantity) {
+        return { ok: false, status: 422, message: 'Minimum quantity not available' };
+    }
+
+    // Quantity removed by self-trade prevention does not count as filled
+    if (execType === 'FOK' && sim.filled < quantity) {
         // Create a transient "CANCELLED" order object for the response
         const killedOrder = {
             orderId: generateOrderId(),
@@ -364,20 +966,19 @@ function placeOrderV2(username, fields, recordTradeFn) {
             deliveryEnd: de,
             active: false,
             status: 'CANCELLED', // FOK failed
-            createdAt: Date.now(),
+            createdAt: clock.now(),
             isV2: true
         };
         // Do NOT save to state.
+        emitOrderEvent('order_accepted', Object.assign({}, killedOrder, { quantity, status: 'ACTIVE' }));
+        emitOrderEvent('order_cancelled', killedOrder);
         return { ok: true, order: killedOrder, filledQuantity: 0 };
     }
 
     // -----------------------------
     // ACTUAL EXECUTION
     // -----------------------------
-    // -----------------------------
-    // ACTUAL EXECUTION
-    // -----------------------------
-    const now = Date.now();
+    const now = clock.now();
     const incoming = {
         orderId: generateOrderId(),
         user: username,
@@ -392,71 +993,161 @@ function placeOrderV2(username, fields, recordTradeFn) {
         createdAt: now,
         isV2: true
     };
+    if (stpMode !== undefined) incoming.stpMode = stpMode;
 
-    let remaining = quantity;
-    let filled = 0;
-
-    for (const rest of candidates) {
-        if (remaining <= 0) break;
-
-        if (side === 'BUY' && incoming.price < rest.price) break;
-        if (side === 'SELL' && incoming.price > rest.price) break;
-
-        const tq = Math.min(remaining, rest.quantity);
-        if (tq <= 0) continue;
-
-        const tradePrice = rest.price;
-        const buyer = side === 'BUY' ? incoming.user : rest.user;
-        const seller = side === 'SELL' ? incoming.user : rest.user;
-        recordTradeFn({
-            buyerId: buyer,
-            sellerId: seller,
-            buyerUsername: buyer,
-            sellerUsername: seller,
-            price: tradePrice,
-            quantity: tq,
-            delivery_start: ds,
-            delivery_end: de,
-            timestamp: Date.now(),
-            isV2: true
-        });
-
-        rest.quantity -= tq;
-        if (rest.quantity <= 0) {
-            rest.quantity = 0;
-            rest.active = false;
-            rest.status = 'FILLED';
-        }
+    emitOrderEvent('order_accepted', incoming);
 
-        remaining -= tq;
-        filled += tq;
-    }
+    const { filled, remaining, stopped } = matchAgainstBook(book, incoming, quantity, recordTradeFn);
 
     incoming.quantity = remaining;
 
-    if (remaining <= 0) {
+    if (stopped) {
+        cancelIncoming(incoming);
+    } else if (remaining <= 0) {
         incoming.active = false;
         incoming.status = 'FILLED';
         // Even if FOK/IOC, if it's fully filled, it's FILLED.
-    } else {
-        // [CHANGED] Handle Remainder based on execution_type
-        if (execType === 'GTC') {
-            // Standard behavior: Add to book
-            orders.push(incoming);
-        } else {
-            // IOC or FOK (though FOK shouldn't be here if logic holds, IOC logic applies)
-            // Do NOT add to book. Mark as cancelled.
-            incoming.active = false;
-            incoming.status = 'CANCELLED';
-            incoming.quantity = 0; // Visual cleanup: the remainder is gone
+        archiveOrder(incoming);
+    } else if (restsOnBook(execType)) {
+        // Standard behavior: Add to book. Icebergs only show their first slice.
+        if (execType === 'GTD') incoming.expiresAt = expiresAt;
+        if (postOnly.mode) incoming.postOnly = postOnly.mode;
+        if (display !== undefined) {
+            incoming.displayQuantity = display;
+            incoming.quantity = Math.min(display, remaining);
+            incoming.hiddenQuantity = remaining - incoming.quantity;
         }
+        indexOrder(incoming);
+    } else {
+        // IOC (FOK never gets here with a remainder): do NOT add to book.
+        cancelIncoming(incoming);
     }
 
-    saveOrdersState();
+    journal.appendEvent('orders', 'ORDER_ACCEPTED', incoming);
+    publishBookChanges(book);
+    runStopTriggers(recordTradeFn);
 
     return { ok: true, order: incoming, filledQuantity: filled };
 }
 
+// Ends an incoming order that was never indexed, dropping its remainder
+function cancelIncoming(order) {
+    order.active = false;
+    order.status = 'CANCELLED';
+    order.quantity = 0; // Visual cleanup: the remainder is gone
+    archiveOrder(order);
+    emitOrderEvent('order_cancelled', order);
+}
+
+
+/***********************************************************
+ * V2: STOP ORDERS
+ ***********************************************************/
+// A stop order waits off-book as PENDING until a trade in its contract
+// reaches the trigger (at or above it for buys, at or below for sells). It
+// then enters matching like a new order: STOP_LIMIT at its price with its
+// execution type, STOP at market as IOC/FOK. Collateral is checked when it is
+// placed and again when it triggers.
+const ORDER_TYPES = ['LIMIT', 'STOP', 'STOP_LIMIT'];
+
+function placeStopOrder(username, p) {
+    const order = {
+        orderId: generateOrderId(),
+        user: username,
+        side: p.side,
+        price: p.price,
+        quantity: p.quantity,
+        originalQuantity: p.quantity,
+        deliveryStart: p.ds,
+        deliveryEnd: p.de,
+        active: true,
+        status: 'PENDING',
+        createdAt: clock.now(),
+        isV2: true,
+        orderType: p.orderType,
+        triggerPrice: p.triggerPrice,
+        executionType: p.execType
+    };
+    // A GTD stop can expire while it waits and again once it rests
+    if (p.execType === 'GTD') order.expiresAt = p.expiresAt;
+    if (p.stpMode !== undefined) order.stpMode = p.stpMode;
+
+    indexOrder(order);
+    journal.appendEvent('orders', 'ORDER_ACCEPTED', Object.assign({}, order));
+    emitOrderEvent('order_accepted', order);
+
+    return { ok: true, order, filledQuantity: 0 };
+}
+
+function noteTradePrice(book, price) {
+    const key = contractKey(book.deliveryStart, book.deliveryEnd);
+    const range = tradedRanges.get(key);
+    if (!range) {
+        tradedRanges.set(key, { low: price, high: price });
+        return;
+    }
+    if (price < range.low) range.low = price;
+    if (price > range.high) range.high = price;
+}
+
+function isTriggered(order, range) {
+    return order.side === 'BUY' ? range.high >= order.triggerPrice : range.low <= order.triggerPrice;
+}
+
+// Activates the stop orders crossed by the trades since the last run, oldest
+// first. Activations trade as well, so this repeats until nothing triggers.
+function runStopTriggers(recordTradeFn) {
+    while (tradedRanges.size > 0) {
+        const [key, range] = tradedRanges.entries().next().value;
+        tradedRanges.delete(key);
+
+        const waiting = stopOrders.get(key);
+        if (!waiting) continue;
+
+        const triggered = Array.from(waiting.values())
+            .filter((o) => isTriggered(o, range))
+            .sort((a, b) => a.createdAt - b.createdAt);
+        for (const o of triggered) activateStopOrder(o, recordTradeFn);
+    }
+}
+
+function activateStopOrder(o, recordTradeFn) {
+    const book = ensureBook(o.deliveryStart, o.deliveryEnd);
+    const isMarket = o.orderType === 'STOP';
+    const limitPrice = isMarket ? (o.side === 'BUY' ? Infinity : -Infinity) : o.price;
+
+    // Off the stop index (releasing its reservation) and into the book's
+    // time priority as of now
+    unindexOrder(o);
+    o.status = 'ACTIVE';
+    o.createdAt = clock.now();
+    emitOrderEvent('order_triggered', o);
+
+    const sim = simulateCrossing(book, o.side, limitPrice, o.quantity, o.user, stpModeOf(o));
+    const effect = isMarket
+        ? (o.side === 'BUY' ? -sim.value : sim.value)
+        : potentialEffect(o.side, o.price, o.quantity);
+    const rejected =
+        sim.selfMatch ||
+        (o.executionType === 'FOK' && sim.filled < o.quantity) ||
+        violatesCollateral(o.user, effect);
+
+    const match = rejected ? null : matchAgainstBook(book, o, o.quantity, recordTradeFn, limitPrice);
+
+    if (match && !match.stopped && match.remaining <= 0) {
+        o.active = false;
+        o.status = 'FILLED';
+        archiveOrder(o);
+    } else if (match && !match.stopped && restsOnBook(o.executionType)) {
+        indexOrder(o);
+    } else {
+        cancelIncoming(o);
+    }
+
+    journal.appendEvent('orders', 'ORDER_TRIGGERED', Object.assign({}, o));
+    publishBookChanges(book);
+}
+
 
 /***********************************************************
  * V2 ORDER BOOK
@@ -469,29 +1160,28 @@ function getV2OrderBook(ds, de) {
         return { bids: [], asks: [] };
     }
 
-    const bids = [];
-    const asks = [];
-
-    for (const o of orders) {
-        if (!o.isV2 || !o.active || o.quantity <= 0) continue;
-        if (o.deliveryStart !== ds || o.deliveryEnd !== de) continue;
+    const book = getBook(ds, de);
+    if (!book) return { bids: [], asks: [] };
 
-        if (o.side === 'BUY') bids.push(o);
-        else if (o.side === 'SELL') asks.push(o);
-    }
+    return { bids: levelOrders(book.bids), asks: levelOrders(book.asks) };
+}
 
-    bids.sort((a, b) => b.price - a.price || a.createdAt - b.createdAt);
-    asks.sort((a, b) => a.price - b.price || a.createdAt - b.createdAt);
+// Aggregated price levels (best first) for depth snapshots
+function getV2BookLevels(ds, de) {
+    const windowCheck = checkTradingWindow(ds);
+    const book = windowCheck.ok ? getBook(ds, de) : null;
+    if (!book) return { bids: [], asks: [] };
 
-    return { bids, asks };
+    return { bids: aggregateLevels(book.bids), asks: aggregateLevels(book.asks) };
 }
 
 function getMyActiveV2Orders(username) {
-    const mine = orders.filter(
-        (o) => o.isV2 && o.active && o.quantity > 0 && o.user === username
-    );
-    mine.sort((a, b) => b.createdAt - a.createdAt);
-    return mine;
+    const mine = userOpenOrders.get(username);
+    if (!mine) return [];
+
+    const list = Array.from(mine.values());
+    list.sort((a, b) => b.createdAt - a.createdAt);
+    return list;
 }
 
 
@@ -499,14 +1189,19 @@ function getMyActiveV2Orders(username) {
  * V2 MODIFY
  ***********************************************************/
 function findActiveV2Order(orderId) {
-    const o = orders.find((x) => x.orderId === orderId && x.isV2);
-    if (!o) return null;
+    const o = openOrders.get(orderId);
+    if (!o || !o.isV2) return null;
     if (!o.active || o.quantity <= 0 || o.status !== 'ACTIVE') return null;
     return o;
 }
 
+// Journaled as one record, like placeOrderV2
 function modifyOrderV2(username, orderId, fields, recordTradeFn) {
-    const newPrice = fields.price;
+    return journal.atomically(() => runModifyOrderV2(username, orderId, fields, recordTradeFn));
+}
+
+function runModifyOrderV2(username, orderId, fields, recordTradeFn) {
+    let newPrice = fields.price;
     const newQty = fields.quantity;
 
     if (newPrice === undefined || newQty === undefined) {
@@ -520,154 +1215,126 @@ function modifyOrderV2(username, orderId, fields, recordTradeFn) {
     }
 
     const o = findActiveV2Order(orderId);
-    if (!o) {
+    if (o) expireContract(contractKey(o.deliveryStart, o.deliveryEnd), clock.now());
+    if (!o || o.status === 'EXPIRED') {
         return { ok: false, status: 404, message: 'Order not found or not modifiable' };
     }
     if (o.user !== username) {
         return { ok: false, status: 403, message: 'Cannot modify another user\'s order' };
     }
 
+    // A post-only order stays post-only; post_only can also guard one modify
+    const postOnly = parsePostOnly(fields.post_only);
+    if (!postOnly.ok) return postOnly;
+    const postOnlyMode = postOnly.mode || o.postOnly || null;
+    const minQuantity = fields.min_quantity;
+    const flags = validateExecutionFlags(postOnlyMode, minQuantity, newQty);
+    if (!flags.ok) return flags;
+
     const oldPrice = o.price;
-    const oldQ = o.quantity;
-    const oldT = o.createdAt;
+    const oldQ = remainingQuantity(o);
+    const side = o.side;
+    const isIceberg = o.displayQuantity !== undefined;
+    const book = ensureBook(o.deliveryStart, o.deliveryEnd);
 
-    // COLLATERAL CHECK (simulate)
-    o.price = newPrice;
-    o.quantity = newQty;
-    const violates = violatesCollateral(username);
-    o.price = oldPrice;
-    o.quantity = oldQ;
-    o.createdAt = oldT;
+    if (postOnlyMode) {
+        newPrice = postOnlyPrice(book, side, newPrice, postOnlyMode);
+        if (newPrice === null) return { ok: false, status: 409, message: 'Post-only order would take liquidity' };
+    }
 
-    if (violates) {
+    // COLLATERAL CHECK (simulate)
+    const delta =
+        potentialEffect(side, newPrice, newQty) - potentialEffect(side, oldPrice, oldQ);
+    if (violatesCollateral(username, delta)) {
         return { ok: false, status: 402, message: 'Insufficient collateral' };
     }
 
-    const side = o.side;
-    const ds = o.deliveryStart;
-    const de = o.deliveryEnd;
-
-    const oppSide = side === 'BUY' ? 'SELL' : 'BUY';
-
-    let candidates = orders.filter(
-        (x) =>
-            x.isV2 &&
-            x.active &&
-            x.side === oppSide &&
-            x.deliveryStart === ds &&
-            x.deliveryEnd === de &&
-            x.quantity > 0 &&
-            x.orderId !== orderId
-    );
-
-    if (side === 'BUY') {
-        candidates.sort((a, b) => a.price - b.price || a.createdAt - b.createdAt);
-    } else {
-        candidates.sort((a, b) => b.price - a.price || a.createdAt - b.createdAt);
+    // SELF-MATCH PREVENTION: the same simulation as for a new order
+    const sim = simulateCrossing(book, side, newPrice, newQty, username, stpModeOf(o));
+    if (sim.selfMatch) {
+        return { ok: false, status: 412, message: 'Self-match prevented' };
     }
 
-    // SELF-MATCH PREVENTION
-    for (const rest of candidates) {
-        const crosses = side === 'BUY' ? newPrice >= rest.price : newPrice <= rest.price;
-        if (crosses && rest.user === username) {
-            return { ok: false, status: 412, message: 'Self-match prevented' };
-        }
+    if (minQuantity !== undefined && sim.filled < minQuantity) {
+        return { ok: false, status: 422, message: 'Minimum quantity not available' };
     }
 
     // APPLY CHANGE
-    const now = Date.now();
-    let resetTP = false;
+    const resetTP = newPrice !== oldPrice || newQty > oldQ;
+
+    if (!resetTP) {
+        // Same price, smaller size: keeps its place in the queue. A resting
+        // order at an unchanged price cannot cross, so there is nothing to match.
+        shrinkOrder(o, newQty);
+        publishBookChanges(book);
+        return { ok: true, order: o, filledQuantity: 0 };
+    }
 
-    if (newPrice !== oldPrice) resetTP = true;
-    if (newQty > oldQ) resetTP = true;
+    // The order leaves the book while it matches as an incoming order
+    removeOrder(book, o);
 
     o.price = newPrice;
     o.quantity = newQty;
+    o.createdAt = clock.now();
+    if (isIceberg) o.hiddenQuantity = 0; // matches with its full size
 
     if (newQty > o.originalQuantity) {
         o.originalQuantity = newQty;
     }
 
-    if (resetTP) {
-        o.createdAt = now;
-    }
+    emitOrderEvent('order_modified', o);
 
     // MATCHING
-    let remaining = o.quantity;
-    let filled = 0;
-
-    candidates = orders.filter(
-        (x) =>
-            x.isV2 &&
-            x.active &&
-            x.side === oppSide &&
-            x.deliveryStart === ds &&
-            x.deliveryEnd === de &&
-            x.quantity > 0
-    );
-
-    if (side === 'BUY') {
-        candidates.sort((a, b) => a.price - b.price || a.createdAt - b.createdAt);
-    } else {
-        candidates.sort((a, b) => b.price - a.price || a.createdAt - b.createdAt);
+    const { filled, remaining, stopped } = matchAgainstBook(book, o, newQty, recordTradeFn);
+    const change = {
+        orderId,
+        price: o.price,
+        quantity: stopped ? 0 : remaining,
+        originalQuantity: o.originalQuantity,
+        createdAt: o.createdAt,
+        requeue: true
+    };
+    if (stopped) change.cancelled = true;
+    if (isIceberg) {
+        const left = change.quantity;
+        change.quantity = Math.min(o.displayQuantity, left);
+        change.hiddenQuantity = left - change.quantity;
     }
+    applyModify(o, change);
+    journal.appendEvent('orders', 'ORDER_MODIFIED', change);
+    if (stopped) emitOrderEvent('order_cancelled', o);
+    publishBookChanges(book);
+    runStopTriggers(recordTradeFn);
 
-    for (const rest of candidates) {
-        if (remaining <= 0) break;
-
-        if (side === 'BUY' && o.price < rest.price) break;
-        if (side === 'SELL' && o.price > rest.price) break;
-
-        const tq = Math.min(remaining, rest.quantity);
-        if (tq <= 0) continue;
-
-        const tradePrice = rest.price;
-        const buyer = side === 'BUY' ? o.user : rest.user;
-        const seller = side === 'SELL' ? o.user : rest.user;
-
-        recordTradeFn({
-            buyerId: buyer,
-            sellerId: seller,
-            buyerUsername: buyer,
-            sellerUsername: seller,
-            price: tradePrice,
-            quantity: tq,
-            delivery_start: ds,
-            delivery_end: de,
-            timestamp: Date.now(),
-            isV2: true // FIXED: Added isV2 flag to modifyOrder match execution
-        });
-
-        rest.quantity -= tq;
-        if (rest.quantity <= 0) {
-            rest.quantity = 0;
-            rest.active = false;
-            rest.status = 'FILLED';
-        }
+    return { ok: true, order: o, filledQuantity: filled };
+}
 
-        remaining -= tq;
-        filled += tq;
+// Shrinks a resting order in place, keeping its queue position. Icebergs
+// give up hidden quantity first.
+function shrinkOrder(order, quantity) {
+    const change = { orderId: order.orderId, price: order.price, quantity, requeue: false };
+    if (order.displayQuantity !== undefined) {
+        change.quantity = Math.min(order.quantity, quantity);
+        change.hiddenQuantity = quantity - change.quantity;
     }
-
-    o.quantity = remaining;
-    if (remaining <= 0) {
-        o.quantity = 0;
-        o.active = false;
-        o.status = 'FILLED';
-    }
-
-    saveOrdersState();
-
-    return { ok: true, order: o, filledQuantity: filled };
+    applyModify(order, change);
+    journal.appendEvent('orders', 'ORDER_MODIFIED', change);
+    emitOrderEvent('order_modified', order);
 }
 
 
 /***********************************************************
  * CANCEL ORDER
  ***********************************************************/
+function cancelOpenOrder(order) {
+    closeOrder(order, 'CANCELLED');
+    journal.appendEvent('orders', 'ORDER_CANCELLED', { orderId: order.orderId });
+    emitOrderEvent('order_cancelled', order);
+}
+
 function cancelOrderV2(username, orderId) {
-    const o = orders.find((x) => x.orderId === orderId && x.isV2);
-    if (!o || o.status === 'CANCELLED') {
+    const o = findOrder(orderId);
+    if (!o || !o.isV2 || o.status === 'CANCELLED') {
         return { ok: false, status: 404, message: 'Order not found or already cancelled' };
     }
     if (o.status === 'FILLED' || !o.active || o.quantity <= 0) {
@@ -677,27 +1344,145 @@ function cancelOrderV2(username, orderId) {
         return { ok: false, status: 403, message: 'Cannot cancel another user\'s order' };
     }
 
-    o.active = false;
-    o.status = 'CANCELLED';
-    o.quantity = 0;
-
-    saveOrdersState();
+    cancelOpenOrder(o);
+    publishBookChanges(ensureBook(o.deliveryStart, o.deliveryEnd));
 
     return { ok: true };
 }
 
 
+// Cancels every resting V2 order of a user; returns the cancelled ids.
+function cancelAllOrdersV2(username) {
+    const cancelled = [];
+    for (const order of getMyActiveV2Orders(username)) {
+        if (cancelOrderV2(username, order.orderId).ok) cancelled.push(order.orderId);
+    }
+    return cancelled;
+}
+
+/***********************************************************
+ * EXPIRY
+ ***********************************************************/
+function expireOrder(order) {
+    closeOrder(order, 'EXPIRED');
+    journal.appendEvent('orders', 'ORDER_EXPIRED', { orderId: order.orderId });
+    emitOrderEvent('order_expired', order);
+}
+
+// Expires what is due in one contract: everything once its gate has closed
+// (the book goes with it), otherwise only GTD orders past their expires_at.
+function expireContract(key, now) {
+    const book = books.get(key);
+    const waiting = stopOrders.get(key);
+    const expiring = expiringOrders.get(key);
+    if (!book && !waiting && !expiring) return 0;
+
+    const ds = book ? book.deliveryStart : (waiting || expiring).values().next().value.deliveryStart;
+    const closed = now > gateClosureTime(ds);
+    let due;
+    if (closed) {
+        due = book ? levelOrders(book.bids).concat(levelOrders(book.asks)) : [];
+        if (waiting) due.push(...waiting.values());
+    } else if (expiring) {
+        due = Array.from(expiring.values()).filter((o) => o.expiresAt <= now);
+    } else {
+        return 0;
+    }
+
+    for (const o of due) expireOrder(o);
+    if (book) {
+        publishBookChanges(book);
+        if (closed) books.delete(key);
+    }
+    return due.length;
+}
+
+/**
+ * Moves GTD orders past their expires_at, and every order (resting or stop)
+ * left in a contract past gate closure, to EXPIRED. Returns the number of
+ * expired orders.
+ */
+function expireOrders(now = clock.now()) {
+    const keys = new Set([...books.keys(), ...stopOrders.keys(), ...expiringOrders.keys()]);
+    let expired = 0;
+    for (const key of keys) expired += expireContract(key, now);
+    return expired;
+}
+
+// Runs expireOrders() in the background, like the WebSocket heartbeat
+function startExpirySweep(intervalMs = ORDER_EXPIRY_SWEEP_MS) {
+    const timer = setInterval(() => {
+        try {
+            expireOrders();
+        } catch (err) {
+            console.error('Order expiry sweep failed:', err.message);
+        }
+    }, intervalMs);
+    timer.unref();
+    return timer;
+}
+
+// Every order the user ever placed: the open ones plus their archive (which
+// snapshots keep), oldest first.
+function getOrdersForUser(username) {
+    const list = [];
+    for (const o of openOrders.values()) {
+        if (o.user === username) list.push(o);
+    }
+    list.push(...(archiveByUser.get(username) || []));
+    return list.sort((a, b) => a.createdAt - b.createdAt);
+}
+
+
 /***********************************************************
  * SNAPSHOT / RESTORE
  ***********************************************************/
-function snapshotOrders() {
-    return JSON.parse(JSON.stringify(orders));
+// Open V2 orders of one contract: the book in queue order, then its stops
+function contractOpenOrders(key) {
+    const book = books.get(key);
+    const list = book ? levelOrders(book.bids).concat(levelOrders(book.asks)) : [];
+    const waiting = stopOrders.get(key);
+    if (waiting) list.push(...waiting.values());
+    return list;
+}
+
+// Archived orders are immutable, so a snapshot only copies open orders and
+// remembers how long the archive was. Only the contracts a bulk request can
+// touch are copied: those it names plus those of the orders it modifies or
+// cancels, which may live in any contract.
+function snapshotOrders(contracts, orderIds = []) {
+    const keys = new Set(contracts.map((c) => contractKey(c.deliveryStart, c.deliveryEnd)));
+    for (const orderId of orderIds) {
+        const o = openOrders.get(orderId);
+        if (o && o.isV2) keys.add(contractKey(o.deliveryStart, o.deliveryEnd));
+    }
+
+    const open = [];
+    for (const key of keys) open.push(...contractOpenOrders(key));
+
+    return {
+        keys: Array.from(keys),
+        open: JSON.parse(JSON.stringify(open)),
+        archiveLength: archive.length
+    };
 }
 
 function restoreOrders(snapshot) {
-    orders.length = 0;
-    for (const o of snapshot) orders.push(Object.assign({}, o));
-    saveOrdersState();
+    while (archive.length > snapshot.archiveLength) unarchiveLast();
+
+    for (const key of snapshot.keys) {
+        for (const o of contractOpenOrders(key)) unindexOrder(o);
+        books.delete(key);
+        tradedRanges.delete(key);
+    }
+
+    for (const o of snapshot.open) indexOrder(Object.assign({}, o));
+
+    // The rebuilt books match what subscribers saw before the snapshot
+    for (const key of snapshot.keys) {
+        const book = books.get(key);
+        if (book) book.changes.clear();
+    }
 }
 
 
@@ -710,18 +1495,29 @@ module.exports = {
     createOrder,
     getOrdersForWindow,
     findAndFillOrder,
+    cancelAllOrdersV1,
+    runStopTriggers,
 
     placeOrderV2,
     getV2OrderBook,
+    getV2BookLevels,
     getMyActiveV2Orders,
 
     modifyOrderV2,
     cancelOrderV2,
+    cancelAllOrdersV2,
+    getOrdersForUser,
+    expireOrders,
+    startExpirySweep,
 
     snapshotOrders,
     restoreOrders,
 
+    orderEvents,
+    bookEvents,
+
     // helpful for tests / collateral
+    remainingQuantity,
     computePotentialBalance,
     violatesCollateral
 };
@@ -0,0 +1,207 @@
+// private-stream.js
+// Authenticated per-user WebSocket stream: order lifecycle events and
+// balance updates, encoded as GalacticBuf.
+const WebSocket = require('ws');
+const { encodeMessage } = require('./galacticbuf');
+const {
+    authenticateUpgrade,
+    isUpgradeAuthActive,
+    getCollateral,
+    authEvents
+} = require('./auth');
+const { orderEvents, computePotentialBalance, remainingQuantity } = require('./orders');
+const { getBalance } = require('./trades');
+const clock = require('./clock');
+
+const wss = new WebSocket.Server({ noServer: true });
+
+const sessionsByUser = new Map();  // username -> Set(ws)
+const sessionsByLogin = new Map(); // auth session id -> Set(ws)
+const sessionsByApiKey = new Map(); // API key id -> Set(ws)
+
+// Events buffered while a bulk operation may still roll back
+let held = null;
+
+const dirtyBalances = new Set();
+let balanceFlushScheduled = false;
+
+/****************************
+ * SESSION INDEX
+ ****************************/
+function addSession(index, key, ws) {
+    if (!index.has(key)) index.set(key, new Set());
+    index.get(key).add(ws);
+}
+
+function removeSession(index, key, ws) {
+    const set = index.get(key);
+    if (!set) return;
+    set.delete(ws);
+    if (set.size === 0) index.delete(key);
+}
+
+function hasSessions(username) {
+    return sessionsByUser.has(username);
+}
+
+/****************************
+ * MESSAGES
+ ****************************/
+function orderMessage(event) {
+    const o = event.order;
+    return {
+        type: event.type,
+        order_id: o.orderId,
+        side: o.side.toLowerCase(),
+        price: o.price,
+        trigger_price: o.triggerPrice,
+        quantity: remainingQuantity(o),
+        display_quantity: o.displayQuantity,
+        expires_at: o.expiresAt,
+        original_quantity: o.originalQuantity,
+        status: o.status,
+        delivery_start: o.deliveryStart,
+        delivery_end: o.deliveryEnd,
+        fill_quantity: event.fillQuantity || null,
+        fill_price: event.fillPrice,
+        timestamp: event.timestamp
+    };
+}
+
+function balanceMessage(username) {
+    const collateral = getCollateral(username);
+    return {
+        type: 'balance',
+        balance: getBalance(username),
+        potential_balance: computePotentialBalance(username),
+        collateral: collateral === null ? -1 : collateral,
+        timestamp: clock.now()
+    };
+}
+
+function sendToUser(username, msg) {
+    const sessions = sessionsByUser.get(username);
+    if (!sessions) return;
+
+    try {
+        const buf = encodeMessage(msg);
+        for (const ws of sessions) {
+            if (ws.readyState === WebSocket.OPEN) ws.send(buf);
+        }
+    } catch (err) {
+        console.error('Failed to send private stream message:', err.message);
+    }
+}
+
+/****************************
+ * PUBLISHING
+ ****************************/
+// Balance updates are coalesced and sent once the current operation has
+// finished, so they always reflect its final state.
+function scheduleBalanceUpdate(username) {
+    dirtyBalances.add(username);
+    if (balanceFlushScheduled) return;
+
+    balanceFlushScheduled = true;
+    setImmediate(() => {
+        balanceFlushScheduled = false;
+        const users = Array.from(dirtyBalances);
+        dirtyBalances.clear();
+        for (const u of users) sendToUser(u, balanceMessage(u));
+    });
+}
+
+function publish(username, msg) {
+    if (held) {
+        held.push([username, msg]);
+        return;
+    }
+    sendToUser(username, msg);
+    scheduleBalanceUpdate(username);
+}
+
+/**
+ * Buffers private events until releaseEvents() or discardEvents(), so a bulk
+ * operation that rolls back never reaches the stream.
+ */
+function holdEvents() {
+    // A hold left open by a request that threw is flushed rather than kept
+    if (held) releaseEvents();
+    held = [];
+}
+
+function releaseEvents() {
+    const list = held || [];
+    held = null;
+    for (const [username, msg] of list) publish(username, msg);
+}
+
+function discardEvents() {
+    held = null;
+}
+
+orderEvents.on('order', (event) => {
+    if (!hasSessions(event.user)) return;
+    publish(event.user, orderMessage(event));
+});
+
+function closeSessions(index, ids) {
+    for (const id of ids) {
+        const sessions = index.get(id);
+        if (!sessions) continue;
+        for (const ws of sessions) ws.close(1008, 'Token revoked');
+    }
+}
+
+// Streams die with the login session they were opened with (logout of that
+// device, or a password change), or with their API key
+authEvents.on('sessions-revoked', (username, revoked) => closeSessions(sessionsByLogin, revoked));
+authEvents.on('api-keys-revoked', (username, revoked) => closeSessions(sessionsByApiKey, revoked));
+
+/****************************
+ * UPGRADE
+ ****************************/
+function rejectUpgrade(socket, status, text) {
+    socket.write(`HTTP/1.1 ${status} ${text}\r\nConnection: close\r\n\r\n`);
+    socket.destroy();
+}
+
+/**
+ * Upgrades /v2/stream/private for a login session or an API key with the
+ * read-account scope (see authenticateUpgrade).
+ */
+function handleUpgrade(request, socket, head, url) {
+    const auth = authenticateUpgrade(request, url, 'read-account');
+    if (!auth.ok) return rejectUpgrade(socket, auth.status, auth.message);
+    const username = auth.username;
+    const index = auth.apiKeyId ? sessionsByApiKey : sessionsByLogin;
+    const loginId = auth.apiKeyId || auth.sessionId;
+
+    wss.handleUpgrade(request, socket, head, (ws) => {
+        if (!isUpgradeAuthActive(auth, request.socket.remoteAddress)) {
+            ws.close(1008, 'Token revoked');
+            return;
+        }
+
+        addSession(sessionsByUser, username, ws);
+        addSession(index, loginId, ws);
+
+        ws.on('close', () => {
+            removeSession(sessionsByUser, username, ws);
+            removeSession(index, loginId, ws);
+        });
+
+        // Stream is one-way
+        ws.on('message', () => {});
+
+        // Start with the current balances
+        ws.send(encodeMessage(balanceMessage(username)));
+    });
+}
+
+module.exports = {
+    handleUpgrade,
+    holdEvents,
+    releaseEvents,
+    discardEvents
+};
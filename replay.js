@@ -0,0 +1,298 @@
+// replay.js
+// Replays a request capture (see capture.js) against a fresh server and diffs
+// every response against the captured one.
+// Usage: node replay.js <capture-file> [baseUrl]   (default http://localhost:8080)
+//
+// Start the target with REPLAY_CLOCK=1, no PERSISTENT_DIR and the same
+// ADMIN_USERNAME / ADMIN_PASSWORD as the captured instance. Each request is
+// sent with X-Replay-Time set to its capture timestamp, so the engine sees the
+// same clock it saw in production.
+//
+// Order entry sessions are reopened with their captured headers; each frame
+// is preceded by a ping carrying its capture timestamp (the server pins the
+// clock to it) and its reply is diffed like a response body. Frames the
+// server pushes on its own (cancel-on-disconnect reports) are not compared.
+//
+// Order ids, trade ids and tokens are random. They are learned as they show
+// up: where the captured and the replayed response hold different opaque ids
+// of the same length at the same place, the pair is remembered and the
+// replayed id is substituted into later requests (path, headers and body
+// bytes), which keeps the GalacticBuf bodies byte-for-byte intact.
+const fs = require('fs');
+const WebSocket = require('ws');
+const { decodeMessage } = require('./galacticbuf');
+
+const CAPTURE_FILE = process.argv[2];
+const BASE_URL = process.argv[3] || 'http://localhost:8080';
+
+// Hop-by-hop and recomputed headers are not replayed
+const SKIPPED_HEADERS = new Set([
+    'host',
+    'connection',
+    'content-length',
+    'transfer-encoding',
+    'keep-alive',
+    'x-replay-time'
+]);
+
+// The client library negotiates its own handshake
+const SKIPPED_UPGRADE_HEADERS = new Set([
+    'upgrade',
+    'sec-websocket-key',
+    'sec-websocket-version',
+    'sec-websocket-extensions'
+]);
+
+const RESPONSE_TIMEOUT_MS = 5000;
+// The server handles a close once its end of the socket is closed, which can
+// trail ours; later traffic has to wait for it (cancel-on-disconnect arms there)
+const CLOSE_SETTLE_MS = 50;
+
+const OPAQUE_ID = /^[A-Za-z0-9_-]{16,}$/;
+
+const ids = new Map(); // captured id -> replayed id
+const sessions = new Map(); // captured session -> { ws, responses, waiter }
+
+/****************************
+ * SUBSTITUTION
+ ****************************/
+function substituteString(str) {
+    for (const [from, to] of ids) {
+        if (str.includes(from)) str = str.split(from).join(to);
+    }
+    return str;
+}
+
+function substituteBuffer(buf) {
+    for (const [from, to] of ids) {
+        const needle = Buffer.from(from);
+        const replacement = Buffer.from(to);
+        let at = buf.indexOf(needle);
+        while (at !== -1) {
+            replacement.copy(buf, at);
+            at = buf.indexOf(needle, at + needle.length);
+        }
+    }
+    return buf;
+}
+
+/****************************
+ * COMPARISON
+ ****************************/
+function decodeBody(contentType, base64) {
+    if (base64 === null) return null;
+    const buf = Buffer.from(base64, 'base64');
+    if (contentType && contentType.startsWith('application/x-galacticbuf')) {
+        try {
+            return decodeMessage(buf);
+        } catch (err) {
+            return '<undecodable GalacticBuf: ' + buf.toString('hex') + '>';
+        }
+    }
+    if (contentType && contentType.startsWith('application/json')) {
+        try {
+            return JSON.parse(buf.toString('utf8'));
+        } catch (err) {
+            // compared as text below
+        }
+    }
+    return buf.toString('utf8');
+}
+
+// Walks both bodies together, learning id pairs and collecting differences
+function compare(expected, actual, where, diffs) {
+    if (typeof expected === 'string' && typeof actual === 'string') {
+        if (expected === actual || ids.get(expected) === actual) return;
+        if (
+            !ids.has(expected) &&
+            expected.length === actual.length &&
+            OPAQUE_ID.test(expected) &&
+            OPAQUE_ID.test(actual)
+        ) {
+            ids.set(expected, actual);
+            return;
+        }
+        if (substituteString(expected) === actual) return;
+    } else if (Array.isArray(expected) && Array.isArray(actual)) {
+        if (expected.length === actual.length) {
+            expected.forEach((e, i) => compare(e, actual[i], where + '[' + i + ']', diffs));
+            return;
+        }
+    } else if (
+        expected && actual &&
+        typeof expected === 'object' && typeof actual === 'object' &&
+        !Array.isArray(expected) && !Array.isArray(actual)
+    ) {
+        const keys = new Set([...Object.keys(expected), ...Object.keys(actual)]);
+        for (const k of keys) compare(expected[k], actual[k], where + '.' + k, diffs);
+        return;
+    } else if (expected === actual) {
+        return;
+    }
+
+    diffs.push(`${where || 'body'}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+}
+
+/****************************
+ * REPLAY
+ ****************************/
+async function replayOne(record) {
+    const headers = replayHeaders(record, new Set());
+
+    const init = { method: record.method, headers };
+    if (record.body !== null) {
+        init.body = substituteBuffer(Buffer.from(record.body, 'base64'));
+    }
+
+    const res = await fetch(BASE_URL + substituteString(record.path), init);
+    const contentType = res.headers.get('content-type');
+    const buf = Buffer.from(await res.arrayBuffer());
+
+    // Sent for its effect only: the captured client never saw a response
+    if (record.response === null) return [];
+
+    const diffs = [];
+    if (res.status !== record.response.status) {
+        diffs.push(`status: expected ${record.response.status}, got ${res.status}`);
+    }
+    compare(
+        decodeBody(record.response.contentType, record.response.body),
+        decodeBody(contentType, buf.length > 0 ? buf.toString('base64') : null),
+        '',
+        diffs
+    );
+    return diffs;
+}
+
+function replayHeaders(record, skipped) {
+    const headers = { 'X-Replay-Time': String(record.timestamp) };
+    for (const [name, value] of Object.entries(record.headers || {})) {
+        if (SKIPPED_HEADERS.has(name) || skipped.has(name) || typeof value !== 'string') continue;
+        headers[name] = substituteString(value);
+    }
+    return headers;
+}
+
+function openSession(record) {
+    const url = BASE_URL.replace(/^http/, 'ws') + substituteString(record.path);
+    const ws = new WebSocket(url, { headers: replayHeaders(record, SKIPPED_UPGRADE_HEADERS) });
+
+    return new Promise((resolve) => {
+        ws.once('open', () => resolve({ status: 101, ws }));
+        ws.once('unexpected-response', (req, res) => {
+            resolve({ status: res.statusCode });
+            req.destroy();
+        });
+        ws.once('error', () => resolve({ status: 0 }));
+    });
+}
+
+function nextResponse(session) {
+    if (session.responses.length > 0) return Promise.resolve(session.responses.shift());
+    return new Promise((resolve) => {
+        const timer = setTimeout(() => {
+            session.waiter = null;
+            resolve(null);
+        }, RESPONSE_TIMEOUT_MS);
+        session.waiter = (frame) => {
+            clearTimeout(timer);
+            session.waiter = null;
+            resolve(frame);
+        };
+    });
+}
+
+async function replaySocketEvent(record) {
+    if (record.ws === 'open') {
+        const opened = await openSession(record);
+        const diffs = [];
+        if (record.response && opened.status !== record.response.status) {
+            diffs.push(`status: expected ${record.response.status}, got ${opened.status}`);
+        }
+        if (opened.ws && record.session === null) opened.ws.close();
+        if (!opened.ws || record.session === null) return diffs;
+
+        const session = { ws: opened.ws, responses: [], waiter: null };
+        opened.ws.on('message', (data) => {
+            let msg;
+            try {
+                msg = decodeMessage(Buffer.from(data));
+            } catch (err) {
+                msg = null;
+            }
+            if (!msg || msg.type !== 'response') return;
+            if (session.waiter) session.waiter(data);
+            else session.responses.push(data);
+        });
+        sessions.set(record.session, session);
+        return diffs;
+    }
+
+    const session = sessions.get(record.session);
+    if (!session || session.ws.readyState !== WebSocket.OPEN) {
+        // the server closed it when it closed the captured one
+        if (record.ws === 'close') return [];
+        return ['session is not open'];
+    }
+
+    if (record.ws === 'close') {
+        session.ws.ping(String(record.timestamp));
+        session.ws.close();
+        await new Promise((resolve) => session.ws.once('close', resolve));
+        await new Promise((resolve) => setTimeout(resolve, CLOSE_SETTLE_MS));
+        sessions.delete(record.session);
+        return [];
+    }
+
+    session.ws.ping(String(record.timestamp));
+    session.ws.send(substituteBuffer(Buffer.from(record.body, 'base64')));
+    if (record.response === null) return [];
+
+    const frame = await nextResponse(session);
+    if (frame === null) return ['no response'];
+
+    const diffs = [];
+    compare(
+        decodeBody('application/x-galacticbuf', record.response),
+        decodeBody('application/x-galacticbuf', Buffer.from(frame).toString('base64')),
+        '',
+        diffs
+    );
+    return diffs;
+}
+
+async function main() {
+    if (!CAPTURE_FILE) {
+        console.error('Usage: node replay.js <capture-file> [baseUrl]');
+        process.exit(2);
+    }
+
+    const lines = fs.readFileSync(CAPTURE_FILE, 'utf8').split('\n').filter(Boolean);
+    let differing = 0;
+
+    for (let i = 0; i < lines.length; i++) {
+        let record;
+        try {
+            record = JSON.parse(lines[i]);
+        } catch (err) {
+            console.error(`#${i + 1}: unreadable capture line, stopping`);
+            break;
+        }
+
+        const diffs = record.ws ? await replaySocketEvent(record) : await replayOne(record);
+        if (diffs.length === 0) continue;
+
+        differing += 1;
+        if (record.ws) console.log(`#${i + 1} WS ${record.ws} (session ${record.session})`);
+        else console.log(`#${i + 1} ${record.method} ${record.path}`);
+        for (const d of diffs) console.log('    ' + d);
+    }
+
+    console.log(`Replayed ${lines.length} requests, ${differing} differ.`);
+    process.exit(differing === 0 ? 0 : 1);
+}
+
+main().catch((err) => {
+    console.error('Replay failed:', err.message);
+    process.exit(2);
+});
@@ -1,22 +1,44 @@
 // server.js
 const express = require('express');
 const http = require('http'); // Required for WebSocket integration
-const WebSocket = require('ws'); // Required for WebSocket implementation
 const {
     encodeMessage,
     decodeMessage,
-    listOfObjects
+    listOfObjects,
+    listOfStrings
 } = require('./galacticbuf');
 const {
     registerUser,
     loginUser,
     changePassword,
+    refreshSession,
+    listSessions,
+    revokeSession,
     authMiddleware,
+    requireScope,
+    requireSession,
+    marketDataMiddleware,
+    startTotpEnrollment,
+    confirmTotp,
+    disableTotp,
+    signatureMiddleware,
+    createApiKey,
+    listApiKeys,
+    revokeApiKey,
+    clearLockout,
+    requireRole,
+    setRole,
+    authenticatePassword,
+    bootstrapAdmin,
     registerDnaSample,
+    listDnaSamples,
+    deleteDnaSample,
     loginWithDna,
     getUsernameFromToken,
     setCollateral,
-    getCollateral
+    getCollateral,
+    getStpMode,
+    setStpMode
 } = require('./auth');
 const {
     ONE_HOUR_MS,
@@ -24,13 +46,16 @@ const {
     getOrdersForWindow,
     findAndFillOrder,
     placeOrderV2,
+    remainingQuantity,
     getV2OrderBook,
     getMyActiveV2Orders,
     modifyOrderV2,
     cancelOrderV2,
     snapshotOrders,
     restoreOrders,
-    computePotentialBalance
+    computePotentialBalance,
+    startExpirySweep,
+    runStopTriggers
 } = require('./orders');
 const {
     getTrades,
@@ -39,79 +64,46 @@ const {
     restoreTrades,
     getBalance
 } = require('./trades');
+const { disableAccount, enableAccount, closeAccount, exportAccount } = require('./accounts');
+const journal = require('./journal');
+const clock = require('./clock');
+const { auditMiddleware, queryAudit, openAuditLog } = require('./audit');
+const { captureMiddleware, replayClockMiddleware, replayClockUpgrade } = require('./capture');
+const privateStream = require('./private-stream');
+const bookFeed = require('./book-feed');
+const tradeStream = require('./trade-stream');
+const orderEntry = require('./order-entry');
+const { broadcastV2Trade, recordTradeAndBroadcast } = tradeStream;
+
+// Restore persisted state (snapshot + journal replay) before serving traffic
+journal.recover();
+openAuditLog();
+startExpirySweep();
 
 const app = express();
 const server = http.createServer(app); // Wrap express app in HTTP server
 
 // -------------------- WEBSOCKET SERVER --------------------
 
-const wss = new WebSocket.Server({ noServer: true });
-const wsClients = new Set();
-
 // Handle Upgrade Request
 server.on('upgrade', (request, socket, head) => {
-    const pathname = new URL(request.url, `http://${request.headers.host}`).pathname;
+    const url = new URL(request.url, `http://${request.headers.host}`);
+    const pathname = url.pathname;
+    replayClockUpgrade(request);
 
     if (pathname === '/v2/stream/trades') {
-        wss.handleUpgrade(request, socket, head, (ws) => {
-            wsClients.add(ws);
-            
-            // Cleanup on close
-            ws.on('close', () => {
-                wsClients.delete(ws);
-            });
-
-            // Ignore incoming messages (stream is one-way)
-            ws.on('message', () => {});
-        });
+        tradeStream.handleUpgrade(request, socket, head, url);
+    } else if (pathname === '/v2/stream/private') {
+        privateStream.handleUpgrade(request, socket, head, url);
+    } else if (pathname === '/v2/stream/book') {
+        bookFeed.handleUpgrade(request, socket, head, url);
+    } else if (pathname === '/v2/stream/order-entry') {
+        orderEntry.handleUpgrade(request, socket, head, url);
     } else {
         socket.destroy();
     }
 });
 
-/**
- * Broadcasts a trade to all connected WebSocket clients.
- * Filters out V1 trades automatically.
- */
-function broadcastV2Trade(trade) {
-    if (!trade || !trade.isV2) return;
-
-    // Map to API spec fields
-    const msg = {
-        trade_id: trade.tradeId,
-        buyer_id: trade.buyerId,
-        seller_id: trade.sellerId,
-        price: trade.price,
-        quantity: trade.quantity,
-        delivery_start: trade.delivery_start,
-        delivery_end: trade.delivery_end,
-        timestamp: trade.timestamp
-    };
-
-    try {
-        const buf = encodeMessage(msg);
-        for (const client of wsClients) {
-            if (client.readyState === WebSocket.OPEN) {
-                client.send(buf);
-            }
-        }
-    } catch (err) {
-        console.error('Failed to broadcast trade:', err.message);
-    }
-}
-
-/**
- * Wrapper for recordTrade that immediately broadcasts 
- * if the trade is V2.
- */
-function recordTradeAndBroadcast(tradeData) {
-    const trade = recordTrade(tradeData);
-    if (trade.isV2) {
-        broadcastV2Trade(trade);
-    }
-    return trade;
-}
-
 // -------------------- APP CONFIG --------------------
 
 // Health check
@@ -149,6 +141,11 @@ function galacticBufParser(req, res, next) {
     }
 }
 
+// Capture and audit before decoding, so bodies the parser rejects are still
+// recorded
+app.use(replayClockMiddleware);
+app.use(captureMiddleware);
+app.use(auditMiddleware);
 app.use(galacticBufParser);
 
 function sendGalactic(res, obj, status = 200) {
@@ -161,47 +158,219 @@ function sendGalactic(res, obj, status = 200) {
 // -------------------- AUTH ENDPOINTS --------------------
 
 // POST /register
-app.post('/register', (req, res) => {
+// Password hashing runs off the event loop, so the password routes resolve asynchronously
+app.post('/register', (req, res, next) => {
     const body = req.galactic || {};
-    const result = registerUser(body.username, body.password);
+    registerUser(body.username, body.password)
+        .then((result) => {
+            if (!result.ok) return res.status(result.status).send(result.message);
+            return res.status(204).end();
+        })
+        .catch(next);
+});
+
+// Auth failures may carry a lockout (429) with the seconds to wait
+function sendAuthFailure(res, result) {
+    if (result.retryAfter) res.set('Retry-After', String(result.retryAfter));
+    return res.status(result.status).send(result.message);
+}
+
+function tokenBody(result) {
+    return {
+        token: result.token,
+        refresh_token: result.refreshToken,
+        expires_at: result.expiresAt,
+        session_id: result.sessionId
+    };
+}
+
+function apiKeyBody(key) {
+    return {
+        key_id: key.id,
+        name: key.name,
+        scopes: listOfStrings(key.scopes),
+        ip_allowlist: listOfStrings(key.ipAllowlist),
+        created_at: key.createdAt,
+        expires_at: key.expiresAt
+    };
+}
+
+// POST /login
+app.post('/login', (req, res, next) => {
+    const body = req.galactic || {};
+    loginUser(body.username, body.password, body.totp, req.ip)
+        .then((result) => {
+            if (!result.ok) return sendAuthFailure(res, result);
+            return sendGalactic(res, tokenBody(result), 200);
+        })
+        .catch(next);
+});
+
+// POST /token/refresh (rotates the refresh token)
+app.post('/token/refresh', (req, res) => {
+    const body = req.galactic || {};
+    const result = refreshSession(body.refresh_token);
+    if (!result.ok) return res.status(result.status).send(result.message);
+    return sendGalactic(res, tokenBody(result), 200);
+});
+
+// GET /user/sessions
+app.get('/user/sessions', authMiddleware, requireSession, (req, res) => {
+    const sessions = listSessions(req.user).map(sess => ({
+        session_id: sess.id,
+        method: sess.method,
+        created_at: sess.createdAt,
+        refreshed_at: sess.refreshedAt,
+        expires_at: sess.refreshExpiresAt,
+        current: sess.id === req.sessionId ? 1 : 0
+    }));
+    return sendGalactic(res, { sessions: listOfObjects(sessions) }, 200);
+});
+
+// DELETE /user/sessions/:id (log out one device)
+app.delete('/user/sessions/:id', authMiddleware, requireSession, (req, res) => {
+    const result = revokeSession(req.user, req.params.id);
     if (!result.ok) return res.status(result.status).send(result.message);
     return res.status(204).end();
 });
 
-// POST /login
-app.post('/login', (req, res) => {
+// POST /user/api-keys (the key itself is only returned here)
+app.post('/user/api-keys', authMiddleware, requireSession, (req, res) => {
     const body = req.galactic || {};
-    const result = loginUser(body.username, body.password);
+    const result = createApiKey(req.user, body);
     if (!result.ok) return res.status(result.status).send(result.message);
-    return sendGalactic(res, { token: result.token }, 200);
+    return sendGalactic(
+        res,
+        Object.assign({ api_key: result.apiKey, signing_secret: result.signingSecret }, apiKeyBody(result.key)),
+        200
+    );
 });
 
-// PUT /user/password
-app.put('/user/password', (req, res) => {
+// GET /user/api-keys
+app.get('/user/api-keys', authMiddleware, requireSession, (req, res) => {
+    const keys = listApiKeys(req.user).map(apiKeyBody);
+    return sendGalactic(res, { api_keys: listOfObjects(keys) }, 200);
+});
+
+// DELETE /user/api-keys/:id
+app.delete('/user/api-keys/:id', authMiddleware, requireSession, (req, res) => {
+    const result = revokeApiKey(req.user, req.params.id);
+    if (!result.ok) return res.status(result.status).send(result.message);
+    return res.status(204).end();
+});
+
+// POST /user/totp/enroll (returns the secret to load into an authenticator)
+app.post('/user/totp/enroll', authMiddleware, requireSession, (req, res) => {
+    const result = startTotpEnrollment(req.user);
+    if (!result.ok) return res.status(result.status).send(result.message);
+    return sendGalactic(res, { secret: result.secret, otpauth_uri: result.uri }, 200);
+});
+
+// POST /user/totp/confirm (enables TOTP, returns one-time recovery codes)
+app.post('/user/totp/confirm', authMiddleware, requireSession, (req, res) => {
     const body = req.galactic || {};
-    const result = changePassword(body.username, body.old_password, body.new_password);
+    const result = confirmTotp(req.user, body.totp);
+    if (!result.ok) return res.status(result.status).send(result.message);
+    return sendGalactic(res, { recovery_codes: listOfStrings(result.recoveryCodes) }, 200);
+});
+
+// DELETE /user/totp (needs a current code or a recovery code)
+app.delete('/user/totp', authMiddleware, requireSession, (req, res) => {
+    const body = req.galactic || {};
+    const result = disableTotp(req.user, body.totp);
     if (!result.ok) return res.status(result.status).send(result.message);
     return res.status(204).end();
 });
 
+// PUT /user/password
+app.put('/user/password', (req, res, next) => {
+    const body = req.galactic || {};
+    changePassword(body.username, body.old_password, body.new_password, body.totp, req.ip)
+        .then((result) => {
+            if (!result.ok) return sendAuthFailure(res, result);
+            return res.status(204).end();
+        })
+        .catch(next);
+});
+
 // DNA LOGIN
-app.post('/dna-submit', (req, res) => {
+// DNA matching runs in a worker thread, so these two resolve asynchronously
+app.post('/dna-submit', (req, res, next) => {
     const body = req.galactic || {};
-    const result = registerDnaSample(body.username, body.password, body.dna_sample);
+    registerDnaSample(body.username, body.password, body.dna_sample, body.totp, req.ip)
+        .then((result) => {
+            if (!result.ok) return sendAuthFailure(res, result);
+            return res.status(204).end();
+        })
+        .catch(next);
+});
+
+app.post('/dna-login', (req, res, next) => {
+    const body = req.galactic || {};
+    loginWithDna(body.username, body.dna_sample, body.totp, req.ip)
+        .then((result) => {
+            if (!result.ok) return sendAuthFailure(res, result);
+            return sendGalactic(res, tokenBody(result), 200);
+        })
+        .catch(next);
+});
+
+// GET /user/dna-samples
+app.get('/user/dna-samples', authMiddleware, requireSession, (req, res) => {
+    const samples = listDnaSamples(req.user).map(s => ({
+        fingerprint: s.fingerprint,
+        codons: s.len,
+        created_at: s.createdAt
+    }));
+    return sendGalactic(res, { samples: listOfObjects(samples) }, 200);
+});
+
+// DELETE /user/dna-samples/:fingerprint
+app.delete('/user/dna-samples/:fingerprint', authMiddleware, requireSession, (req, res) => {
+    const result = deleteDnaSample(req.user, req.params.fingerprint);
     if (!result.ok) return res.status(result.status).send(result.message);
     return res.status(204).end();
 });
 
-app.post('/dna-login', (req, res) => {
+// DELETE /user/account (closes it for good; needs the password and TOTP again)
+app.delete('/user/account', authMiddleware, requireSession, (req, res, next) => {
     const body = req.galactic || {};
-    const result = loginWithDna(body.username, body.dna_sample);
-    if (!result.ok) return res.status(result.status).send(result.message);
-    return sendGalactic(res, { token: result.token }, 200);
+    authenticatePassword(req.user, body.password, body.totp, req.ip)
+        .then((check) => {
+            if (!check.ok) return sendAuthFailure(res, check);
+
+            const result = closeAccount(req.user, req.user);
+            if (!result.ok) return res.status(result.status).send(result.message);
+            return sendGalactic(res, { settled_balance: result.settledBalance }, 200);
+        })
+        .catch(next);
+});
+
+// GET /user/export (?format=json for JSON, GalacticBuf otherwise)
+app.get('/user/export', authMiddleware, requireSession, (req, res) => {
+    const format = req.query.format || 'galacticbuf';
+    if (format !== 'json' && format !== 'galacticbuf') {
+        return res.status(400).send('format must be json or galacticbuf');
+    }
+
+    const bundle = exportAccount(req.user);
+    if (format === 'json') return res.status(200).json(bundle);
+
+    return sendGalactic(
+        res,
+        Object.assign({}, bundle, {
+            orders: listOfObjects(bundle.orders),
+            trades: listOfObjects(bundle.trades),
+            balance_history: listOfObjects(bundle.balance_history),
+            dna_samples: listOfObjects(bundle.dna_samples)
+        }),
+        200
+    );
 });
 
 // -------------------- LEGACY V1 ORDERS --------------------
 
-app.get('/orders', (req, res) => {
+app.get('/orders', marketDataMiddleware, (req, res) => {
     const qs = req.query || {};
     const deliveryStart = Number(qs.delivery_start);
     const deliveryEnd = Number(qs.delivery_end);
@@ -225,7 +394,7 @@ app.get('/orders', (req, res) => {
     return sendGalactic(res, { orders: listOfObjects(orderObjects) }, 200);
 });
 
-app.post('/orders', authMiddleware, (req, res) => {
+app.post('/orders', authMiddleware, requireScope('trade'), (req, res) => {
     const body = req.galactic || {};
     const result = createOrder(req.user, body);
     if (!result.ok) return res.status(result.status).send(result.message);
@@ -234,7 +403,7 @@ app.post('/orders', authMiddleware, (req, res) => {
 
 // -------------------- V2 ORDER BOOK & MY ORDERS --------------------
 
-app.get('/v2/orders', (req, res) => {
+app.get('/v2/orders', marketDataMiddleware, (req, res) => {
     const qs = req.query || {};
     const deliveryStart = Number(qs.delivery_start);
     const deliveryEnd = Number(qs.delivery_end);
@@ -261,13 +430,20 @@ app.get('/v2/orders', (req, res) => {
     return sendGalactic(res, { bids: listOfObjects(bidObjects), asks: listOfObjects(askObjects) }, 200);
 });
 
-app.get('/v2/my-orders', authMiddleware, (req, res) => {
+app.get('/v2/my-orders', authMiddleware, requireScope('read-account'), (req, res) => {
     const myOrders = getMyActiveV2Orders(req.user);
     const orderObjects = myOrders.map((o) => ({
         order_id: o.orderId,
         side: o.side.toLowerCase(),
+        order_type: o.orderType || 'LIMIT',
+        status: o.status,
         price: o.price,
-        quantity: o.quantity,
+        trigger_price: o.triggerPrice,
+        // Owners see the full remainder of their icebergs
+        quantity: remainingQuantity(o),
+        display_quantity: o.displayQuantity,
+        expires_at: o.expiresAt,
+        stp_mode: o.stpMode,
         delivery_start: o.deliveryStart,
         delivery_end: o.deliveryEnd,
         timestamp: o.createdAt
@@ -278,7 +454,7 @@ app.get('/v2/my-orders', authMiddleware, (req, res) => {
 // -------------------- V2 MATCHING ENGINE --------------------
 
 // POST /v2/orders
-app.post('/v2/orders', authMiddleware, (req, res) => {
+app.post('/v2/orders', authMiddleware, requireScope('trade'), (req, res) => {
     const body = req.galactic || {};
 
     // Use recordTradeAndBroadcast to allow immediate streaming
@@ -293,6 +469,7 @@ app.post('/v2/orders', authMiddleware, (req, res) => {
         {
             order_id: order.orderId,
             status: order.status,
+            price: order.price, // differs from the request when post-only repriced it
             filled_quantity: result.filledQuantity
         },
         200
@@ -300,7 +477,7 @@ app.post('/v2/orders', authMiddleware, (req, res) => {
 });
 
 // PUT /v2/orders/:orderId
-app.put('/v2/orders/:orderId', authMiddleware, (req, res) => {
+app.put('/v2/orders/:orderId', authMiddleware, requireScope('trade'), (req, res) => {
     const orderId = req.params.orderId;
     const body = req.galactic || {};
 
@@ -316,6 +493,7 @@ app.put('/v2/orders/:orderId', authMiddleware, (req, res) => {
         {
             order_id: order.orderId,
             status: order.status,
+            price: order.price,
             filled_quantity: result.filledQuantity
         },
         200
@@ -323,7 +501,7 @@ app.put('/v2/orders/:orderId', authMiddleware, (req, res) => {
 });
 
 // DELETE /v2/orders/:orderId
-app.delete('/v2/orders/:orderId', authMiddleware, (req, res) => {
+app.delete('/v2/orders/:orderId', authMiddleware, requireScope('trade'), (req, res) => {
     const orderId = req.params.orderId;
     const result = cancelOrderV2(req.user, orderId);
     if (!result.ok) {
@@ -333,17 +511,33 @@ app.delete('/v2/orders/:orderId', authMiddleware, (req, res) => {
 });
 
 // -------------------- V2 BULK OPERATIONS --------------------
-app.post('/v2/bulk-operations', (req, res) => {
+// Each operation names its participant by token. A request signed with an
+// API key holding the bulk scope may leave participant_token out to act as
+// the key's owner.
+app.post('/v2/bulk-operations', signatureMiddleware({ optional: true }), (req, res) => {
     const body = req.galactic || {};
 
     if (!body.contracts || !Array.isArray(body.contracts)) {
         return res.status(400).send('contracts array is required');
     }
 
-    const ordersSnap = snapshotOrders();
+    // Rollback only needs the contracts this request can reach
+    const touchedContracts = [];
+    const touchedOrderIds = [];
+    for (const contract of body.contracts) {
+        if (!contract || typeof contract !== 'object') continue;
+        touchedContracts.push({ deliveryStart: contract.delivery_start, deliveryEnd: contract.delivery_end });
+        if (!Array.isArray(contract.operations)) continue;
+        for (const op of contract.operations) {
+            if (op && typeof op.order_id === 'string') touchedOrderIds.push(op.order_id);
+        }
+    }
+
+    const ordersSnap = snapshotOrders(touchedContracts, touchedOrderIds);
     const tradesSnap = snapshotTrades();
     const results = [];
-    
+    const participants = new Set();
+
     // Buffer trades during bulk operation to prevent broadcasting phantom trades on rollback
     const bulkTradesBuffer = [];
     const bulkRecordFn = (tradeData) => {
@@ -354,68 +548,112 @@ app.post('/v2/bulk-operations', (req, res) => {
         return t;
     };
 
-    function rollback(status, msg) {
-        restoreOrders(ordersSnap);
-        restoreTrades(tradesSnap);
-        return res.status(status).send(msg);
+    function fail(status, message) {
+        return { ok: false, status, message };
     }
 
-    for (const contract of body.contracts) {
-        if (!contract || typeof contract !== 'object') return rollback(400, 'Invalid contract entry');
-
-        const ds = contract.delivery_start;
-        const de = contract.delivery_end;
+    // Applies every operation in order; stops at the first one that fails
+    function runOperations() {
+        for (const contract of body.contracts) {
+            if (!contract || typeof contract !== 'object') return fail(400, 'Invalid contract entry');
 
-        if (!Number.isInteger(ds) || !Number.isInteger(de)) return rollback(400, 'delivery_start and delivery_end must be integers');
-        if (ds % ONE_HOUR_MS !== 0 || de % ONE_HOUR_MS !== 0 || de <= ds || de - ds !== ONE_HOUR_MS) {
-            return rollback(400, 'Invalid delivery window');
-        }
+            const ds = contract.delivery_start;
+            const de = contract.delivery_end;
 
-        const now = Date.now();
-        if (de <= now) return rollback(451, 'Delivery window is in the past');
-        const THIRTY_DAYS_MS = 30 * 24 * ONE_HOUR_MS;
-        if (ds > now + THIRTY_DAYS_MS) return rollback(425, 'Delivery window is too far in the future');
-
-        if (!Array.isArray(contract.operations)) return rollback(400, 'operations must be an array');
+            if (!Number.isInteger(ds) || !Number.isInteger(de)) return fail(400, 'delivery_start and delivery_end must be integers');
+            if (ds % ONE_HOUR_MS !== 0 || de % ONE_HOUR_MS !== 0 || de <= ds || de - ds !== ONE_HOUR_MS) {
+                return fail(400, 'Invalid delivery window');
+            }
 
-        for (const op of contract.operations) {
-            if (!op || typeof op !== 'object' || !op.type) return rollback(400, 'Invalid operation object');
-
-            const username = getUsernameFromToken(op.participant_token);
-            if (!username) return rollback(401, 'Invalid participant token');
-
-            if (op.type === 'create') {
-                const { side, price, quantity, execution_type } = op;
-                if (!side || !Number.isInteger(price) || !Number.isInteger(quantity)) return rollback(400, 'Invalid create operation fields');
-
-                const result = placeOrderV2(username, {
-                    side, price, quantity, delivery_start: ds, delivery_end: de, execution_type
-                }, bulkRecordFn); // Use buffered recorder
-
-                if (!result.ok) return rollback(result.status || 400, result.message);
-                results.push({ type: 'create', order_id: result.order.orderId, status: result.order.status });
-
-            } else if (op.type === 'modify') {
-                const { order_id, price, quantity } = op;
-                if (!order_id || !Number.isInteger(price) || !Number.isInteger(quantity)) return rollback(400, 'Invalid modify operation fields');
-
-                const result = modifyOrderV2(username, order_id, { price, quantity }, bulkRecordFn); // Use buffered recorder
-                if (!result.ok) return rollback(result.status || 400, result.message);
-                results.push({ type: 'modify', order_id });
-
-            } else if (op.type === 'cancel') {
-                const { order_id } = op;
-                if (!order_id) return rollback(400, 'Invalid cancel operation fields');
-                const result = cancelOrderV2(username, order_id);
-                if (!result.ok) return rollback(result.status || 400, result.message);
-                results.push({ type: 'cancel', order_id });
-            } else {
-                return rollback(400, 'Unknown operation type: ' + op.type);
+            const now = clock.now();
+            if (de <= now) return fail(451, 'Delivery window is in the past');
+            const THIRTY_DAYS_MS = 30 * 24 * ONE_HOUR_MS;
+            if (ds > now + THIRTY_DAYS_MS) return fail(425, 'Delivery window is too far in the future');
+
+            if (!Array.isArray(contract.operations)) return fail(400, 'operations must be an array');
+
+            for (const op of contract.operations) {
+                if (!op || typeof op !== 'object' || !op.type) return fail(400, 'Invalid operation object');
+
+                // API keys need the bulk scope to take part
+                const username = op.participant_token === undefined && req.apiKeyId
+                    ? (req.scopes.includes('bulk') ? req.user : null)
+                    : getUsernameFromToken(op.participant_token, 'bulk', req.ip);
+                if (!username) return fail(401, 'Invalid participant token');
+                participants.add(username);
+
+                if (op.type === 'create') {
+                    const {
+                        side, price, quantity, execution_type, order_type, trigger_price, display_quantity, expires_at,
+                        post_only, min_quantity, stp_mode
+                    } = op;
+                    // STOP orders are the only ones without a price
+                    const needsPrice = typeof order_type !== 'string' || order_type.toUpperCase() !== 'STOP';
+                    if (!side || (needsPrice && !Number.isInteger(price)) || !Number.isInteger(quantity)) return fail(400, 'Invalid create operation fields');
+
+                    const result = placeOrderV2(username, {
+                        side, price, quantity, delivery_start: ds, delivery_end: de, execution_type, order_type, trigger_price,
+                        display_quantity, expires_at, post_only, min_quantity, stp_mode
+                    }, bulkRecordFn); // Use buffered recorder
+
+                    if (!result.ok) return fail(result.status || 400, result.message);
+                    results.push({
+                        type: 'create', order_id: result.order.orderId, status: result.order.status, price: result.order.price
+                    });
+
+                } else if (op.type === 'modify') {
+                    const { order_id, price, quantity, post_only, min_quantity } = op;
+                    if (!order_id || !Number.isInteger(price) || !Number.isInteger(quantity)) return fail(400, 'Invalid modify operation fields');
+
+                    const result = modifyOrderV2(
+                        username, order_id, { price, quantity, post_only, min_quantity }, bulkRecordFn
+                    ); // Use buffered recorder
+                    if (!result.ok) return fail(result.status || 400, result.message);
+                    results.push({ type: 'modify', order_id, price: result.order.price });
+
+                } else if (op.type === 'cancel') {
+                    const { order_id } = op;
+                    if (!order_id) return fail(400, 'Invalid cancel operation fields');
+                    const result = cancelOrderV2(username, order_id);
+                    if (!result.ok) return fail(result.status || 400, result.message);
+                    results.push({ type: 'cancel', order_id });
+                } else {
+                    return fail(400, 'Unknown operation type: ' + op.type);
+                }
             }
         }
+        return { ok: true };
     }
 
-    // Success: Commit trades to broadcast stream
+    // Journal the whole bulk request as one record, or nothing on rollback.
+    // A throw rolls back too, so the batch and the held events never outlive
+    // this request.
+    privateStream.holdEvents();
+    bookFeed.holdEvents();
+    let outcome;
+    try {
+        journal.batched(() => {
+            outcome = runOperations();
+            return outcome.ok;
+        });
+    } catch (err) {
+        console.error('Bulk operation failed:', err);
+        outcome = fail(500, 'Internal server error');
+    }
+
+    if (!outcome.ok) {
+        res.locals.audit = { detail: { outcome: 'rolled_back', participants: Array.from(participants) } };
+        privateStream.discardEvents();
+        bookFeed.discardEvents();
+        restoreOrders(ordersSnap);
+        restoreTrades(tradesSnap);
+        return res.status(outcome.status).send(outcome.message);
+    }
+
+    // Success: persist and commit trades to broadcast stream
+    res.locals.audit = { detail: { outcome: 'committed', participants: Array.from(participants) } };
+    privateStream.releaseEvents();
+    bookFeed.releaseEvents();
     bulkTradesBuffer.forEach(broadcastV2Trade);
 
     return sendGalactic(res, { results: listOfObjects(results) }, 200);
@@ -424,39 +662,47 @@ app.post('/v2/bulk-operations', (req, res) => {
 // -------------------- TRADES ENDPOINTS --------------------
 
 // POST /trades (manual take order - Legacy)
-app.post('/trades', authMiddleware, (req, res) => {
+app.post('/trades', authMiddleware, requireScope('trade'), (req, res) => {
     const body = req.galactic || {};
     const orderId = body.order_id;
     if (!orderId || typeof orderId !== 'string') return res.status(400).send('order_id is required');
 
-    const result = findAndFillOrder(orderId);
-    if (!result.ok) return res.status(result.status).send(result.message);
-
-    const order = result.order;
-    const qty = result.filledQuantity;
-
-    // Direct call to recordTrade (Legacy isV2=false).
-    // broadcastV2Trade handles filtering, but since we call recordTrade directly here,
-    // we rely on it creating { isV2: false }, which will be ignored if we ever piped it.
-    // However, we don't need to change this logic as we don't want V1 trades on the stream.
-    const trade = recordTrade({
-        buyerId: req.user,
-        sellerId: order.user,
-        buyerUsername: req.user,
-        sellerUsername: order.user,
-        price: order.price,
-        quantity: qty,
-        delivery_start: order.deliveryStart,
-        delivery_end: order.deliveryEnd,
-        timestamp: Date.now(),
-        isV2: false
+    // The fill, its trade and any stop orders it triggers are journaled as
+    // one record
+    let result = null;
+    let trade = null;
+    journal.atomically(() => {
+        result = findAndFillOrder(orderId);
+        if (!result.ok) return;
+
+        const order = result.order;
+        const qty = result.filledQuantity;
+
+        // Direct call to recordTrade (Legacy isV2=false).
+        // broadcastV2Trade handles filtering, but since we call recordTrade directly here,
+        // we rely on it creating { isV2: false }, which will be ignored if we ever piped it.
+        // However, we don't need to change this logic as we don't want V1 trades on the stream.
+        trade = recordTrade({
+            buyerId: req.user,
+            sellerId: order.user,
+            buyerUsername: req.user,
+            sellerUsername: order.user,
+            price: order.price,
+            quantity: qty,
+            delivery_start: order.deliveryStart,
+            delivery_end: order.deliveryEnd,
+            timestamp: clock.now(),
+            isV2: false
+        });
+        runStopTriggers(recordTradeAndBroadcast);
     });
+    if (!result.ok) return res.status(result.status).send(result.message);
 
     return sendGalactic(res, { trade_id: trade.tradeId }, 200);
 });
 
 // GET /trades
-app.get('/trades', (req, res) => {
+app.get('/trades', marketDataMiddleware, (req, res) => {
     const tradeList = getTrades();
     const tradeObjects = tradeList.map((t) => ({
         trade_id: t.tradeId,
@@ -470,7 +716,7 @@ app.get('/trades', (req, res) => {
 });
 
 // GET /v2/trades
-app.get('/v2/trades', (req, res) => {
+app.get('/v2/trades', marketDataMiddleware, (req, res) => {
     const qs = req.query || {};
     const deliveryStart = Number(qs.delivery_start);
     const deliveryEnd = Number(qs.delivery_end);
@@ -498,6 +744,7 @@ app.get('/v2/trades', (req, res) => {
     );
 
     const tradeObjects = v2Trades.map(t => ({
+        seq: t.seq,
         trade_id: t.tradeId,
         buyer_id: t.buyerId,
         seller_id: t.sellerId,
@@ -511,23 +758,20 @@ app.get('/v2/trades', (req, res) => {
     return sendGalactic(res, { trades: listOfObjects(tradeObjects) }, 200);
 });
 
-app.put('/collateral/:username', (req, res) => {
-    const header = req.headers['authorization'] || '';
-    if (header !== 'Bearer password123') return res.status(401).end();
-
+app.put('/collateral/:username', authMiddleware, requireSession, requireRole('admin', 'risk-officer'), (req, res) => {
     const username = req.params.username;
     const body = req.galactic || {};
     const c = body.collateral;
 
     if (!Number.isInteger(c)) return res.status(400).send('collateral must be integer');
 
-    const result = setCollateral(username, c);
+    const result = setCollateral(req.user, username, c);
     if (!result.ok) return res.status(result.status).send(result.message);
 
     return res.status(204).end();
 });
 
-app.get('/balance', authMiddleware, (req, res) => {
+app.get('/balance', authMiddleware, requireScope('read-account'), (req, res) => {
     const user = req.user;
     const balance = getBalance(user);
     const potential = computePotentialBalance(user);
@@ -544,7 +788,20 @@ app.get('/balance', authMiddleware, (req, res) => {
     );
 });
 
-app.get('/v2/my-trades', authMiddleware, (req, res) => {
+// GET /user/stp-mode (self-trade prevention for orders without their own)
+app.get('/user/stp-mode', authMiddleware, requireScope('read-account'), (req, res) => {
+    return sendGalactic(res, { stp_mode: getStpMode(req.user) }, 200);
+});
+
+// PUT /user/stp-mode
+app.put('/user/stp-mode', authMiddleware, requireScope('trade'), (req, res) => {
+    const body = req.galactic || {};
+    const result = setStpMode(req.user, req.user, body.stp_mode);
+    if (!result.ok) return res.status(result.status).send(result.message);
+    return res.status(204).end();
+});
+
+app.get('/v2/my-trades', authMiddleware, requireScope('read-account'), (req, res) => {
     const qs = req.query || {};
     const delivery_start = Number(qs.delivery_start);
     const delivery_end = Number(qs.delivery_end);
@@ -580,11 +837,140 @@ app.get('/v2/my-trades', authMiddleware, (req, res) => {
     return sendGalactic(res, { trades: listOfObjects(myTrades) }, 200);
 });
 
+// -------------------- ADMIN ENDPOINTS --------------------
+// Every admin route sits behind authMiddleware + requireSession + requireRole,
+// so req.user is the logged-in account changes are attributed to.
+
+// PUT /admin/users/:username/role
+app.put('/admin/users/:username/role', authMiddleware, requireSession, requireRole('admin'), (req, res) => {
+    const body = req.galactic || {};
+    const result = setRole(req.user, req.params.username, body.role);
+    if (!result.ok) return res.status(result.status).send(result.message);
+    return res.status(204).end();
+});
+
+// POST /admin/users/:username/disable (also cancels their resting orders)
+app.post('/admin/users/:username/disable', authMiddleware, requireSession, requireRole('admin'), (req, res) => {
+    const result = disableAccount(req.user, req.params.username);
+    if (!result.ok) return res.status(result.status).send(result.message);
+    return sendGalactic(res, { cancelled_order_ids: listOfStrings(result.cancelledOrderIds) }, 200);
+});
+
+// POST /admin/users/:username/enable
+app.post('/admin/users/:username/enable', authMiddleware, requireSession, requireRole('admin'), (req, res) => {
+    const result = enableAccount(req.user, req.params.username);
+    if (!result.ok) return res.status(result.status).send(result.message);
+    return res.status(204).end();
+});
+
+// POST /admin/users/:username/close (409 while positions are still open)
+app.post('/admin/users/:username/close', authMiddleware, requireSession, requireRole('admin'), (req, res) => {
+    const result = closeAccount(req.user, req.params.username);
+    if (!result.ok) return res.status(result.status).send(result.message);
+    return sendGalactic(
+        res,
+        {
+            cancelled_order_ids: listOfStrings(result.cancelledOrderIds),
+            settled_balance: result.settledBalance
+        },
+        200
+    );
+});
+
+// DELETE /admin/lockouts/:username (?ip= also unlocks that address)
+app.delete('/admin/lockouts/:username', authMiddleware, requireSession, requireRole('admin'), (req, res) => {
+    const ip = typeof req.query.ip === 'string' ? req.query.ip : null;
+    const result = clearLockout(req.user, req.params.username, ip);
+    if (!result.ok) return res.status(result.status).send(result.message);
+    return res.status(204).end();
+});
+
+// GET /admin/audit?after=&limit=&actor=&action= (oldest first; `next_after`
+// is the cursor for the following page and absent on the last one)
+app.get('/admin/audit', authMiddleware, requireSession, requireRole('admin'), (req, res) => {
+    const qs = req.query || {};
+    const afterId = qs.after === undefined ? 0 : Number(qs.after);
+    const limit = qs.limit === undefined ? 100 : Number(qs.limit);
+    if (!Number.isInteger(afterId) || afterId < 0) return res.status(400).send('after must be a non-negative integer');
+    if (!Number.isInteger(limit) || limit < 1 || limit > 1000) return res.status(400).send('limit must be between 1 and 1000');
+
+    const page = queryAudit({
+        afterId,
+        limit,
+        actor: typeof qs.actor === 'string' ? qs.actor : null,
+        action: typeof qs.action === 'string' ? qs.action : null
+    });
+    const entries = page.entries.map(e => ({
+        id: e.id,
+        timestamp: e.timestamp,
+        action: e.action,
+        actor: e.actor,
+        ip: e.ip,
+        request_id: e.requestId,
+        status: e.status,
+        // Decoded request bodies are free-form, so they travel as JSON text
+        fields: JSON.stringify(e.fields),
+        detail: e.detail ? JSON.stringify(e.detail) : null
+    }));
+    return sendGalactic(res, { entries: listOfObjects(entries), next_after: page.nextAfterId }, 200);
+});
+
+// Clock controls exist only on test instances (CLOCK_TEST_MODE=1)
+function requireClockTestMode(req, res, next) {
+    if (!clock.CLOCK_TEST_MODE) return res.status(404).send('Not found');
+    return next();
+}
+
+function clockBody() {
+    const state = clock.getClockState();
+    return { mode: state.mode, time: state.time, rate: state.rate };
+}
+
+// GET /admin/clock
+app.get('/admin/clock', requireClockTestMode, authMiddleware, requireSession, requireRole('admin'), (req, res) => {
+    return sendGalactic(res, clockBody(), 200);
+});
+
+// PUT /admin/clock { mode: system | fixed | simulated, time?, rate? }
+app.put('/admin/clock', requireClockTestMode, authMiddleware, requireSession, requireRole('admin'), (req, res) => {
+    const body = req.galactic || {};
+    if (body.mode === 'system') {
+        clock.useSystemTime();
+        return sendGalactic(res, clockBody(), 200);
+    }
+    if (body.mode !== 'fixed' && body.mode !== 'simulated') {
+        return res.status(400).send('mode must be system, fixed or simulated');
+    }
+
+    const time = body.time === undefined ? clock.now() : body.time;
+    if (!Number.isInteger(time) || time < 0) return res.status(400).send('time must be a non-negative integer');
+
+    if (body.mode === 'fixed') {
+        clock.setFixedTime(time);
+    } else {
+        const rate = body.rate === undefined ? 1 : body.rate;
+        if (!Number.isInteger(rate) || rate < 1) return res.status(400).send('rate must be a positive integer');
+        clock.setSimulatedTime(time, rate);
+    }
+    return sendGalactic(res, clockBody(), 200);
+});
+
+// POST /admin/clock/advance { ms }
+app.post('/admin/clock/advance', requireClockTestMode, authMiddleware, requireSession, requireRole('admin'), (req, res) => {
+    const body = req.galactic || {};
+    if (!Number.isInteger(body.ms) || body.ms < 0) return res.status(400).send('ms must be a non-negative integer');
+    if (!clock.advance(body.ms)) return res.status(409).send('The system clock cannot be advanced');
+    return sendGalactic(res, clockBody(), 200);
+});
+
 // -------------------- START SERVER --------------------
 
 const PORT = process.env.PORT || 8080;
 
-// Replaced app.listen with server.listen to support WebSocket upgrades
-server.listen(PORT, () => {
-    console.log(`Galactic Energy Exchange listening on port ${PORT}`);
+// Replaced app.listen with server.listen to support WebSocket upgrades.
+// The admin account exists before the first request can try to log in.
+bootstrapAdmin().then(() => {
+    server.listen(PORT, () => {
+        console.log(`Galactic Energy Exchange listening on port ${PORT}`);
+    });
 });
\ No newline at end of file
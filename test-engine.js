@@ -0,0 +1,421 @@
+// test-engine.js
+// Behaviour checks for the V2 matching engine features.
+//
+// Unlike test-sim.js this starts its own server (server.js on TEST_PORT,
+// default 8090) with a scratch PERSISTENT_DIR and JOURNAL_SNAPSHOT_EVERY=1,
+// so every event compacts the journal into a snapshot. Each check restarts
+// the server and expects its orders to come back exactly as they were.
+// Usage: node test-engine.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { encodeMessage, decodeMessage, listOfObjects } = require('./galacticbuf');
+
+const PORT = Number(process.env.TEST_PORT) || 8090;
+const BASE_URL = `http://localhost:${PORT}`;
+const ADMIN_USERNAME = 'admin';
+const ADMIN_PASSWORD = 'password123';
+const ONE_HOUR_MS = 3600000;
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'engine-check-'));
+let server = null;
+
+process.on('exit', () => {
+    if (server) server.kill();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+/****************************
+ * SERVER
+ ****************************/
+function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+async function startServer() {
+    server = spawn(process.execPath, [path.join(__dirname, 'server.js')], {
+        env: Object.assign({}, process.env, {
+            PORT: String(PORT),
+            PERSISTENT_DIR: dataDir,
+            JOURNAL_SNAPSHOT_EVERY: '1',
+            ORDER_EXPIRY_SWEEP_MS: '100',
+            ADMIN_USERNAME,
+            ADMIN_PASSWORD
+        }),
+        stdio: ['ignore', 'ignore', 'inherit']
+    });
+
+    for (let i = 0; i < 100; i++) {
+        try {
+            const res = await fetch(BASE_URL + '/health');
+            if (res.ok) return;
+        } catch (err) {
+            // not listening yet
+        }
+        await sleep(100);
+    }
+    throw new Error('Server did not start');
+}
+
+function stopServer() {
+    const child = server;
+    server = null;
+    return new Promise((resolve) => {
+        child.once('exit', resolve);
+        child.kill();
+    });
+}
+
+/****************************
+ * HELPERS
+ ****************************/
+async function send(method, urlPath, bodyObj, token) {
+    const init = { method, headers: {} };
+    if (bodyObj) {
+        init.body = encodeMessage(bodyObj);
+        init.headers['Content-Type'] = 'application/x-galacticbuf';
+    }
+    if (token) init.headers['Authorization'] = `Bearer ${token}`;
+
+    const res = await fetch(BASE_URL + urlPath, init);
+    const contentType = res.headers.get('content-type') || '';
+    const decoded = contentType.startsWith('application/x-galacticbuf')
+        ? decodeMessage(Buffer.from(await res.arrayBuffer()))
+        : await res.text();
+    return { status: res.status, decoded };
+}
+
+function ensure(condition, label, extra) {
+    if (!condition) {
+        console.error('FAILED:', label);
+        if (extra) console.error('DETAILS:', JSON.stringify(extra));
+        process.exit(1);
+    }
+}
+
+let userCount = 0;
+
+async function newUser(name) {
+    userCount += 1;
+    const username = `engine-${name}-${Date.now()}-${userCount}`;
+    await send('POST', '/register', { username, password: 'pw' });
+    const res = await send('POST', '/login', { username, password: 'pw' });
+    ensure(res.status === 200, 'login ' + username, res);
+    return res.decoded.token;
+}
+
+// Every check trades its own hourly contract, `offset` hours ahead
+function contract(offset) {
+    const start = (Math.floor(Date.now() / ONE_HOUR_MS) + offset) * ONE_HOUR_MS;
+    return { delivery_start: start, delivery_end: start + ONE_HOUR_MS };
+}
+
+async function place(token, c, fields) {
+    return send('POST', '/v2/orders', Object.assign({}, c, fields), token);
+}
+
+async function myOrders(token) {
+    const res = await send('GET', '/v2/my-orders', null, token);
+    ensure(res.status === 200, 'GET /v2/my-orders', res);
+    return res.decoded.orders;
+}
+
+async function myTrades(token, c) {
+    const res = await send(
+        'GET', `/v2/my-trades?delivery_start=${c.delivery_start}&delivery_end=${c.delivery_end}`, null, token
+    );
+    ensure(res.status === 200, 'GET /v2/my-trades', res);
+    return res.decoded.trades;
+}
+
+async function book(c) {
+    const res = await send('GET', `/v2/orders?delivery_start=${c.delivery_start}&delivery_end=${c.delivery_end}`);
+    ensure(res.status === 200, 'GET /v2/orders', res);
+    return res.decoded;
+}
+
+// Restarts the server from its snapshot and expects the book of `c` and the
+// open orders of every token to be unchanged
+async function ensureSurvivesRestart(label, c, tokens) {
+    const before = { book: await book(c), orders: [] };
+    for (const token of tokens) before.orders.push(await myOrders(token));
+
+    await stopServer();
+    await startServer();
+
+    const after = { book: await book(c), orders: [] };
+    for (const token of tokens) after.orders.push(await myOrders(token));
+    ensure(JSON.stringify(after) === JSON.stringify(before), label + ' survives a restart', { before, after });
+}
+
+/****************************
+ * CHECKS
+ ****************************/
+async function checkStopOrders() {
+    const c = contract(2);
+    const alice = await newUser('alice');
+    const bob = await newUser('bob');
+    const carol = await newUser('carol');
+
+    let res = await place(alice, c, {
+        side: 'buy', order_type: 'STOP_LIMIT', trigger_price: 105, price: 107, quantity: 2
+    });
+    ensure(res.status === 200 && res.decoded.status === 'PENDING', 'stop-limit placed as PENDING', res);
+    res = await place(alice, c, { side: 'sell', order_type: 'STOP', trigger_price: 90, quantity: 1 });
+    ensure(res.status === 200 && res.decoded.status === 'PENDING', 'stop placed as PENDING', res);
+
+    const book0 = await book(c);
+    ensure(book0.bids.length === 0 && book0.asks.length === 0, 'pending stops stay off the book', book0);
+
+    await ensureSurvivesRestart('pending stops', c, [alice]);
+
+    // A trade at 106 reaches the buy trigger; the sell stop keeps waiting
+    await place(carol, c, { side: 'sell', price: 106, quantity: 3 });
+    res = await place(bob, c, { side: 'buy', price: 106, quantity: 1 });
+    ensure(res.status === 200 && res.decoded.status === 'FILLED', 'trade that triggers the stop', res);
+
+    const trades = await myTrades(alice, c);
+    ensure(
+        trades.length === 1 && trades[0].price === 106 && trades[0].quantity === 2,
+        'triggered stop-limit fills against the book',
+        trades
+    );
+    const open = await myOrders(alice);
+    ensure(
+        open.length === 1 && open[0].order_type === 'STOP' && open[0].status === 'PENDING',
+        'untriggered stop still pending',
+        open
+    );
+
+    await ensureSurvivesRestart('stop orders after triggering', c, [alice, carol]);
+
+    // A V2 order taken through the legacy POST /trades triggers stops as well
+    const c2 = contract(10);
+    await place(alice, c2, { side: 'buy', order_type: 'STOP_LIMIT', trigger_price: 10, price: 12, quantity: 1 });
+    res = await place(carol, c2, { side: 'sell', price: 10, quantity: 1 });
+    const taken = res.decoded.order_id;
+    await place(carol, c2, { side: 'sell', price: 12, quantity: 1 });
+    res = await send('POST', '/trades', { order_id: taken }, bob);
+    ensure(res.status === 200, 'POST /trades against a V2 order', res);
+    const triggered = await myTrades(alice, c2);
+    ensure(triggered.length === 1 && triggered[0].price === 12, 'legacy fill triggers the stop', triggered);
+
+    await ensureSurvivesRestart('stop triggered by a legacy fill', c2, [alice, carol]);
+    console.log('Stop orders OK');
+}
+
+async function checkIcebergs() {
+    const c = contract(3);
+    const alice = await newUser('alice');
+    const bob = await newUser('bob');
+    const carol = await newUser('carol');
+
+    let res = await place(alice, c, { side: 'sell', price: 50, quantity: 10, display_quantity: 3 });
+    ensure(res.status === 200, 'iceberg placed', res);
+    await place(carol, c, { side: 'sell', price: 50, quantity: 1 });
+
+    let asks = (await book(c)).asks;
+    ensure(asks.length === 2 && asks[0].quantity === 3, 'iceberg shows only its slice', asks);
+
+    // Taking the slice replenishes it from the reserve, behind carol
+    res = await place(bob, c, { side: 'buy', price: 50, quantity: 3 });
+    ensure(res.status === 200 && res.decoded.status === 'FILLED', 'buy takes the slice', res);
+    asks = (await book(c)).asks;
+    ensure(
+        asks.length === 2 && asks[0].quantity === 1 && asks[1].quantity === 3,
+        'replenished slice queues at the back of its level',
+        asks
+    );
+    const open = await myOrders(alice);
+    ensure(open[0].quantity === 7 && open[0].display_quantity === 3, 'owner sees the whole remainder', open);
+
+    await ensureSurvivesRestart('iceberg', c, [alice, carol]);
+
+    res = await place(bob, c, { side: 'buy', price: 50, quantity: 2 });
+    ensure(res.status === 200 && res.decoded.status === 'FILLED', 'second buy', res);
+    const carolTrades = await myTrades(carol, c);
+    ensure(carolTrades.length === 1 && carolTrades[0].quantity === 1, 'carol keeps her priority after a restart', carolTrades);
+    asks = (await book(c)).asks;
+    ensure(asks.length === 1 && asks[0].quantity === 2, 'iceberg slice after the second buy', asks);
+    ensure((await myOrders(alice))[0].quantity === 6, 'iceberg remainder after the second buy');
+
+    await ensureSurvivesRestart('iceberg after partial fills', c, [alice]);
+    console.log('Icebergs OK');
+}
+
+async function checkGtdExpiry() {
+    const c = contract(4);
+    const alice = await newUser('alice');
+    const expiresAt = Date.now() + 3000;
+
+    let res = await place(alice, c, {
+        side: 'sell', price: 60, quantity: 1, execution_type: 'GTD', expires_at: expiresAt
+    });
+    ensure(res.status === 200 && res.decoded.status === 'ACTIVE', 'GTD order rests', res);
+    res = await place(alice, c, { side: 'sell', price: 61, quantity: 1 });
+    ensure(res.status === 200, 'GTC order rests', res);
+    res = await place(alice, c, { side: 'sell', price: 62, quantity: 1, execution_type: 'GTD', expires_at: Date.now() - 1 });
+    ensure(res.status === 400, 'GTD order needs a future expires_at', res);
+
+    await ensureSurvivesRestart('GTD order', c, [alice]);
+    const open = await myOrders(alice);
+    ensure(open.some((o) => o.expires_at === expiresAt), 'expires_at kept across a restart', open);
+
+    // The restarted server still expires it
+    await sleep(expiresAt - Date.now() + 500);
+    const asks = (await book(c)).asks;
+    ensure(asks.length === 1 && asks[0].price === 61, 'GTD order expired after the restart', asks);
+
+    await ensureSurvivesRestart('expired GTD order', c, [alice]);
+    console.log('GTD expiry OK');
+}
+
+async function checkExecutionFlags() {
+    const c = contract(5);
+    const alice = await newUser('alice');
+    const bob = await newUser('bob');
+    const carol = await newUser('carol');
+
+    await place(carol, c, { side: 'sell', price: 70, quantity: 2 });
+
+    let res = await place(alice, c, { side: 'buy', price: 70, quantity: 1, post_only: 1 });
+    ensure(res.status === 409, 'post_only REJECT refuses to take liquidity', res);
+    res = await place(alice, c, { side: 'buy', price: 72, quantity: 1, post_only: 'REPRICE' });
+    ensure(res.status === 200 && res.decoded.price === 69, 'post_only REPRICE rests one tick inside', res);
+    const repricedId = res.decoded.order_id;
+
+    res = await place(bob, c, { side: 'buy', price: 70, quantity: 5, min_quantity: 3 });
+    ensure(res.status === 422, 'min_quantity not available', res);
+    res = await place(bob, c, { side: 'buy', price: 70, quantity: 5, min_quantity: 2 });
+    ensure(res.status === 200 && res.decoded.filled_quantity === 2, 'min_quantity met', res);
+    res = await place(bob, c, { side: 'buy', price: 70, quantity: 5, min_quantity: 1, post_only: 1 });
+    ensure(res.status === 400, 'post_only and min_quantity together', res);
+
+    await ensureSurvivesRestart('post-only and min_quantity orders', c, [alice, bob]);
+
+    // A modification after the restart is still repriced rather than matched
+    await place(carol, c, { side: 'sell', price: 74, quantity: 1 });
+    res = await send('PUT', '/v2/orders/' + repricedId, { price: 76, quantity: 1 }, alice);
+    ensure(res.status === 200 && res.decoded.price === 73, 'post-only mode kept across a restart', res);
+    ensure((await myTrades(alice, c)).length === 0, 'post-only order never traded');
+
+    await ensureSurvivesRestart('repriced modification', c, [alice, bob, carol]);
+    console.log('post_only / min_quantity OK');
+}
+
+async function checkSelfTradePrevention() {
+    const c = contract(6);
+    const alice = await newUser('alice');
+
+    await place(alice, c, { side: 'sell', price: 90, quantity: 1 });
+    let res = await place(alice, c, { side: 'buy', price: 90, quantity: 1 });
+    ensure(res.status === 412, 'self-match rejected without an STP mode', res);
+
+    res = await place(alice, c, { side: 'buy', price: 90, quantity: 1, stp_mode: 'cancel-newest' });
+    ensure(res.status === 200 && res.decoded.status === 'CANCELLED', 'cancel-newest cancels the incoming order', res);
+    ensure((await book(c)).asks.length === 1, 'cancel-newest keeps the resting order');
+
+    res = await send('PUT', '/user/stp-mode', { stp_mode: 'cancel-oldest' }, alice);
+    ensure(res.status === 204, 'PUT /user/stp-mode', res);
+    res = await place(alice, c, { side: 'buy', price: 90, quantity: 2 });
+    ensure(res.status === 200 && res.decoded.status === 'ACTIVE', 'account cancel-oldest lets the incoming order rest', res);
+    let b = await book(c);
+    ensure(b.asks.length === 0 && b.bids.length === 1, 'cancel-oldest cancels the resting order', b);
+
+    await place(alice, c, { side: 'sell', price: 95, quantity: 3 });
+    res = await place(alice, c, { side: 'buy', price: 95, quantity: 1, stp_mode: 'decrement-and-cancel' });
+    ensure(res.status === 200 && res.decoded.status === 'CANCELLED', 'decrement-and-cancel cancels the incoming order', res);
+    b = await book(c);
+    ensure(b.asks.length === 1 && b.asks[0].quantity === 2, 'decrement-and-cancel shrinks the resting order', b);
+
+    // A stop keeps its own mode while it waits, across a restart
+    const c2 = contract(7);
+    const bob = await newUser('bob');
+    const carol = await newUser('carol');
+    await send('PUT', '/user/stp-mode', { stp_mode: 'none' }, alice);
+    await place(alice, c2, { side: 'sell', price: 86, quantity: 1 });
+    res = await place(alice, c2, {
+        side: 'buy', order_type: 'STOP_LIMIT', trigger_price: 85, price: 86, quantity: 1, stp_mode: 'cancel-oldest'
+    });
+    ensure(res.status === 200 && res.decoded.status === 'PENDING', 'stop with its own STP mode', res);
+
+    await ensureSurvivesRestart('STP modes', c2, [alice]);
+
+    await place(carol, c2, { side: 'sell', price: 85, quantity: 1 });
+    await place(bob, c2, { side: 'buy', price: 85, quantity: 1 });
+    const open = (await myOrders(alice)).filter((o) => o.delivery_start === c2.delivery_start);
+    ensure(
+        open.length === 1 && open[0].side === 'buy' && open[0].status === 'ACTIVE' && open[0].stp_mode === 'cancel-oldest',
+        'triggered stop applies its own STP mode after a restart',
+        open
+    );
+
+    await ensureSurvivesRestart('triggered stop with STP mode', c2, [alice]);
+    console.log('Self-trade prevention OK');
+}
+
+async function checkBulkRollback() {
+    const c = contract(8);
+    const alice = await newUser('alice');
+    const bob = await newUser('bob');
+
+    await place(alice, c, { side: 'sell', price: 40, quantity: 6, display_quantity: 2 });
+    await place(alice, c, { side: 'buy', order_type: 'STOP_LIMIT', trigger_price: 45, price: 46, quantity: 1 });
+
+    const bulk = (operations) => send('POST', '/v2/bulk-operations', {
+        contracts: listOfObjects([{
+            delivery_start: c.delivery_start,
+            delivery_end: c.delivery_end,
+            operations: listOfObjects(operations)
+        }])
+    });
+    const buy = { type: 'create', participant_token: bob, side: 'BUY', price: 40, quantity: 1 };
+
+    let res = await bulk([buy]);
+    ensure(res.status === 200, 'bulk create', res);
+    ensure((await myTrades(bob, c)).length === 1, 'bulk create matches');
+
+    // An order in a contract the request does not name can still be cancelled
+    res = await place(alice, contract(9), { side: 'sell', price: 50, quantity: 1 });
+    const elsewhere = res.decoded.order_id;
+
+    const before = { book: await book(c), orders: await myOrders(alice) };
+
+    // The create matches and the cancel succeeds, then the unknown cancel
+    // fails the whole request
+    res = await bulk([
+        Object.assign({}, buy, { quantity: 3 }),
+        { type: 'cancel', participant_token: alice, order_id: elsewhere },
+        { type: 'cancel', participant_token: alice, order_id: 'no-such-order' }
+    ]);
+    ensure(res.status !== 200, 'bulk request with a failing operation', res);
+
+    const after = { book: await book(c), orders: await myOrders(alice) };
+    ensure(JSON.stringify(after) === JSON.stringify(before), 'bulk rollback restores the book', { before, after });
+    ensure((await myTrades(bob, c)).length === 1, 'bulk rollback drops its trades');
+
+    await ensureSurvivesRestart('bulk rollback', c, [alice, bob]);
+    console.log('Bulk rollback OK');
+}
+
+const CHECKS = [
+    checkStopOrders,
+    checkIcebergs,
+    checkGtdExpiry,
+    checkExecutionFlags,
+    checkSelfTradePrevention,
+    checkBulkRollback
+];
+
+async function main() {
+    await startServer();
+    for (const check of CHECKS) await check();
+    await stopServer();
+    console.log('Engine checks look good.');
+}
+
+main().catch((err) => {
+    console.error('Engine checks failed:', err.message);
+    process.exit(1);
+});
@@ -6,6 +6,10 @@ const {
 
 const BASE_URL = 'http://localhost:8080';
 
+// Start the server with the same ADMIN_USERNAME / ADMIN_PASSWORD
+const ADMIN_USERNAME = process.env.ADMIN_USERNAME || 'admin';
+const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || 'password123';
+
 async function sendGalactic(method, path, bodyObj, token, version) {
     const url = BASE_URL + path;
 
@@ -117,11 +121,21 @@ async function main() {
 
     // ---- 3) Set collateral for both (small, but enough)
     {
+        const admin = await sendGalactic('POST', '/login', {
+            username: ADMIN_USERNAME,
+            password: ADMIN_PASSWORD
+        });
+        ensure(admin.status === 200 && admin.decoded && admin.decoded.token, 'login admin', {
+            status: admin.status,
+            body: admin.decoded
+        });
+        const adminToken = admin.decoded.token;
+
         const colSeller = await sendGalactic(
             'PUT',
             `/collateral/${sellerUser}`,
             { collateral: 1_000_000 }, // 1M
-            'password123' // admin token (server expects Bearer password123)
+            adminToken
         );
         ensure(colSeller.status === 204, 'set collateral seller', {
             status: colSeller.status,
@@ -132,7 +146,7 @@ async function main() {
             'PUT',
             `/collateral/${buyerUser}`,
             { collateral: 1_000_000 },
-            'password123'
+            adminToken
         );
         ensure(colBuyer.status === 204, 'set collateral buyer', {
             status: colBuyer.status,
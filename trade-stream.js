@@ -0,0 +1,227 @@
+// trade-stream.js
+// Public V2 trade stream (/v2/stream/trades) with a small GalacticBuf control
+// protocol. Clients without subscriptions receive every trade; once a client
+// subscribes it only receives trades matching one of its subscriptions.
+//
+// Every trade carries its global `seq`. Connecting with ?from_seq=N first
+// replays the stored trades from N on, then continues with live ones. If N
+// is older than the replay retention the server sends an error and closes.
+//
+// Client -> server:
+//   { type: 'subscribe', request_id?, delivery_start, delivery_end }  one contract
+//   { type: 'subscribe', request_id?, from, to }    delivery_start in [from, to)
+//   { type: 'unsubscribe', request_id?, subscription_id? }   none given = all
+//   { type: 'ping', request_id? }
+// Server -> client:
+//   { type: 'ack', request_id, subscription_id, status }
+//   { type: 'pong', request_id, timestamp }
+//   { type: 'error', request_id, message }
+const WebSocket = require('ws');
+const { encodeMessage, decodeMessage } = require('./galacticbuf');
+const { ONE_HOUR_MS } = require('./orders');
+const { recordTrade, getV2TradesSince } = require('./trades');
+const { authenticateUpgrade } = require('./auth');
+const { startHeartbeat } = require('./heartbeat');
+const clock = require('./clock');
+
+const wss = new WebSocket.Server({ noServer: true });
+startHeartbeat(wss);
+
+/****************************
+ * SUBSCRIPTIONS
+ ****************************/
+function parseFilter(msg) {
+    if (msg.delivery_start !== undefined || msg.delivery_end !== undefined) {
+        const ds = msg.delivery_start;
+        const de = msg.delivery_end;
+        if (
+            !Number.isInteger(ds) ||
+            !Number.isInteger(de) ||
+            ds % ONE_HOUR_MS !== 0 ||
+            de % ONE_HOUR_MS !== 0 ||
+            de - ds !== ONE_HOUR_MS
+        ) {
+            return { ok: false, message: 'Invalid delivery window' };
+        }
+        return { ok: true, filter: { from: ds, to: de } };
+    }
+
+    if (msg.from !== undefined || msg.to !== undefined) {
+        if (!Number.isInteger(msg.from) || !Number.isInteger(msg.to) || msg.to <= msg.from) {
+            return { ok: false, message: 'from and to must be integers with from < to' };
+        }
+        return { ok: true, filter: { from: msg.from, to: msg.to } };
+    }
+
+    return { ok: false, message: 'delivery_start/delivery_end or from/to required' };
+}
+
+// A single contract is the range [delivery_start, delivery_end)
+function matchesFilter(filter, trade) {
+    return trade.delivery_start >= filter.from && trade.delivery_start < filter.to;
+}
+
+function wantsTrade(ws, trade) {
+    if (ws.subscriptions.size === 0) return true;
+    for (const filter of ws.subscriptions.values()) {
+        if (matchesFilter(filter, trade)) return true;
+    }
+    return false;
+}
+
+/****************************
+ * CONTROL MESSAGES
+ ****************************/
+function reply(ws, msg) {
+    if (ws.readyState !== WebSocket.OPEN) return;
+    try {
+        ws.send(encodeMessage(msg));
+    } catch (err) {
+        console.error('Failed to send trade stream reply:', err.message);
+    }
+}
+
+function handleControl(ws, data) {
+    let msg;
+    try {
+        msg = decodeMessage(Buffer.isBuffer(data) ? data : Buffer.from(data));
+    } catch (err) {
+        return reply(ws, { type: 'error', message: 'Invalid GalacticBuf message' });
+    }
+
+    const requestId = msg.request_id;
+
+    if (msg.type === 'ping') {
+        return reply(ws, { type: 'pong', request_id: requestId, timestamp: clock.now() });
+    }
+
+    if (msg.type === 'subscribe') {
+        const parsed = parseFilter(msg);
+        if (!parsed.ok) {
+            return reply(ws, { type: 'error', request_id: requestId, message: parsed.message });
+        }
+        ws.nextSubscriptionId += 1;
+        const id = ws.nextSubscriptionId;
+        ws.subscriptions.set(id, parsed.filter);
+        return reply(ws, { type: 'ack', request_id: requestId, subscription_id: id, status: 'subscribed' });
+    }
+
+    if (msg.type === 'unsubscribe') {
+        const id = msg.subscription_id;
+        if (id === undefined) {
+            ws.subscriptions.clear();
+            return reply(ws, { type: 'ack', request_id: requestId, status: 'unsubscribed' });
+        }
+        if (!ws.subscriptions.delete(id)) {
+            return reply(ws, { type: 'error', request_id: requestId, message: 'Unknown subscription_id' });
+        }
+        return reply(ws, { type: 'ack', request_id: requestId, subscription_id: id, status: 'unsubscribed' });
+    }
+
+    return reply(ws, { type: 'error', request_id: requestId, message: 'Unknown message type' });
+}
+
+/****************************
+ * BROADCAST
+ ****************************/
+// Map to API spec fields
+function tradeMessage(trade) {
+    return {
+        seq: trade.seq,
+        trade_id: trade.tradeId,
+        buyer_id: trade.buyerId,
+        seller_id: trade.sellerId,
+        price: trade.price,
+        quantity: trade.quantity,
+        delivery_start: trade.delivery_start,
+        delivery_end: trade.delivery_end,
+        timestamp: trade.timestamp
+    };
+}
+
+/**
+ * Broadcasts a trade to all connected WebSocket clients whose subscriptions
+ * match it. Filters out V1 trades automatically.
+ */
+function broadcastV2Trade(trade) {
+    if (!trade || !trade.isV2) return;
+
+    try {
+        const buf = encodeMessage(tradeMessage(trade));
+        for (const client of wss.clients) {
+            if (client.readyState === WebSocket.OPEN && wantsTrade(client, trade)) {
+                client.send(buf);
+            }
+        }
+    } catch (err) {
+        console.error('Failed to broadcast trade:', err.message);
+    }
+}
+
+/**
+ * Wrapper for recordTrade that immediately broadcasts
+ * if the trade is V2.
+ */
+function recordTradeAndBroadcast(tradeData) {
+    const trade = recordTrade(tradeData);
+    if (trade.isV2) {
+        broadcastV2Trade(trade);
+    }
+    return trade;
+}
+
+/****************************
+ * UPGRADE
+ ****************************/
+function rejectUpgrade(socket, status, text) {
+    socket.write(`HTTP/1.1 ${status} ${text}\r\nConnection: close\r\n\r\n`);
+    socket.destroy();
+}
+
+// Runs synchronously, so no live trade can slip in between replay and live.
+function replayFrom(ws, fromSeq) {
+    const result = getV2TradesSince(fromSeq);
+    if (!result.ok) {
+        reply(ws, {
+            type: 'error',
+            message: 'from_seq is older than the replay retention',
+            oldest_seq: result.oldestSeq
+        });
+        ws.close(1008, 'from_seq out of retention');
+        return;
+    }
+
+    try {
+        for (const trade of result.trades) ws.send(encodeMessage(tradeMessage(trade)));
+    } catch (err) {
+        console.error('Failed to replay trades:', err.message);
+    }
+}
+
+function handleUpgrade(request, socket, head, url) {
+    const rawFromSeq = url.searchParams.get('from_seq');
+    const fromSeq = rawFromSeq === null ? null : Number(rawFromSeq);
+    if (fromSeq !== null && (!Number.isInteger(fromSeq) || fromSeq < 1)) {
+        return rejectUpgrade(socket, 400, 'Bad Request');
+    }
+
+    // Public, but a presented API key needs read-market like on REST
+    const auth = authenticateUpgrade(request, url, 'read-market', true);
+    if (!auth.ok) return rejectUpgrade(socket, auth.status, auth.message);
+
+    wss.handleUpgrade(request, socket, head, (ws) => {
+        ws.subscriptions = new Map(); // subscription id -> { from, to }
+        ws.nextSubscriptionId = 0;
+
+        ws.on('message', (data) => handleControl(ws, data));
+        wss.emit('connection', ws, request);
+
+        if (fromSeq !== null) replayFrom(ws, fromSeq);
+    });
+}
+
+module.exports = {
+    handleUpgrade,
+    broadcastV2Trade,
+    recordTradeAndBroadcast
+};
@@ -2,6 +2,8 @@
 const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
+const journal = require('./journal');
+const clock = require('./clock');
 
 const PERSISTENT_DIR = process.env.PERSISTENT_DIR;
 const TRADES_STATE_FILE = PERSISTENT_DIR
@@ -11,51 +13,103 @@ const TRADES_STATE_FILE = PERSISTENT_DIR
 const trades = [];          // stored trades
 const balances = new Map(); // username -> integer balance
 
+// Every V2 trade gets the next global sequence number. The most recent
+// TRADE_REPLAY_RETENTION of them stay available for stream gap-fill.
+const TRADE_REPLAY_RETENTION = Number(process.env.TRADE_REPLAY_RETENTION) || 100000;
+let lastTradeSeq = 0;
+const sequencedTrades = []; // consecutive seqs, oldest first
+
 /****************************
  * PERSISTENCE HELPERS
  ****************************/
+// Legacy full-file state, imported once when no journal snapshot exists yet
 function loadTradesState() {
     if (!TRADES_STATE_FILE) return;
     try {
         if (!fs.existsSync(TRADES_STATE_FILE)) return;
         const raw = fs.readFileSync(TRADES_STATE_FILE, 'utf8');
         if (!raw) return;
-        const data = JSON.parse(raw);
+        restoreTradesState(JSON.parse(raw));
+    } catch (err) {
+        console.error('Failed to load trades state:', err.message);
+    }
+}
+
+// The trades themselves are the store's history (see journal.js); older
+// snapshots carry them inline.
+function snapshotTradesState() {
+    return {
+        lastTradeSeq,
+        balances: Object.fromEntries(balances)
+    };
+}
+
+function restoreTradesState(data) {
+    trades.length = 0;
+    balances.clear();
+    sequencedTrades.length = 0;
+    lastTradeSeq = 0;
+    if (!data) return;
 
-        trades.length = 0;
-        if (Array.isArray(data.trades)) {
-            for (const t of data.trades) {
-                trades.push(Object.assign({}, t));
-            }
+    if (Number.isInteger(data.lastTradeSeq)) lastTradeSeq = data.lastTradeSeq;
+    if (Array.isArray(data.trades)) {
+        for (const t of data.trades) {
+            if (Number.isInteger(t.seq) && t.seq > lastTradeSeq) lastTradeSeq = t.seq;
         }
+        for (const t of data.trades) {
+            const trade = Object.assign({}, t);
+            // legacy state predates sequence numbers
+            if (trade.isV2 && !Number.isInteger(trade.seq)) trade.seq = ++lastTradeSeq;
+            trades.push(trade);
+            if (trade.isV2) sequenceTrade(trade);
+        }
+    }
 
-        balances.clear();
-        if (data.balances && typeof data.balances === 'object') {
-            for (const [u, b] of Object.entries(data.balances)) {
-                balances.set(u, Number(b));
-            }
+    if (data.balances && typeof data.balances === 'object') {
+        for (const [u, b] of Object.entries(data.balances)) {
+            balances.set(u, Number(b));
         }
-    } catch (err) {
-        console.error('Failed to load trades state:', err.message);
     }
 }
 
-function saveTradesState() {
-    if (!TRADES_STATE_FILE) return;
-    try {
-        const data = {
-            trades,
-            balances: Object.fromEntries(balances)
-        };
-        fs.mkdirSync(PERSISTENT_DIR, { recursive: true });
-        fs.writeFileSync(TRADES_STATE_FILE, JSON.stringify(data));
-    } catch (err) {
-        console.error('Failed to save trades state:', err.message);
+function loadHistoricTrade(t) {
+    const trade = Object.assign({}, t);
+    trades.push(trade);
+    if (trade.isV2) {
+        lastTradeSeq = Math.max(lastTradeSeq, trade.seq);
+        sequenceTrade(trade);
+    }
+}
+
+function applyTradesEvent(type, data) {
+    if (type === 'TRADE_EXECUTED') {
+        loadHistoricTrade(data);
+        applyTradeToBalances(data);
+    } else if (type === 'BALANCE_SET') {
+        balances.set(data.username, data.balance);
     }
 }
 
-// Load persisted trades/balances on module load
-loadTradesState();
+journal.registerStore('trades', {
+    snapshot: snapshotTradesState,
+    restore: restoreTradesState,
+    apply: applyTradesEvent,
+    loadLegacy: loadTradesState,
+    history: () => trades,
+    loadHistory: loadHistoricTrade
+});
+
+
+/****************************
+ * SEQUENCE INDEX
+ ****************************/
+function sequenceTrade(trade) {
+    sequencedTrades.push(trade);
+    // trim in chunks so the splice cost is amortised
+    if (sequencedTrades.length > TRADE_REPLAY_RETENTION + 1024) {
+        sequencedTrades.splice(0, sequencedTrades.length - TRADE_REPLAY_RETENTION);
+    }
+}
 
 
 /****************************
@@ -89,7 +143,7 @@ function recordTrade({
     timestamp,isV2
 }) {
     const tradeId = crypto.randomBytes(16).toString('hex');
-    const ts = typeof timestamp === 'number' ? timestamp : Date.now();
+    const ts = typeof timestamp === 'number' ? timestamp : clock.now();
 
     const trade = {
         tradeId,
@@ -104,11 +158,16 @@ function recordTrade({
         delivery_end,
         isV2: !!isV2
     };
+    if (trade.isV2) {
+        lastTradeSeq += 1;
+        trade.seq = lastTradeSeq;
+        sequenceTrade(trade);
+    }
 
     trades.push(trade);
     applyTradeToBalances({ buyerId, sellerId, price, quantity });
 
-    saveTradesState();
+    journal.appendEvent('trades', 'TRADE_EXECUTED', trade);
 
     return trade;
 }
@@ -121,45 +180,99 @@ function getTrades() {
     return [...trades].sort((a, b) => b.timestamp - a.timestamp);
 }
 
+// A user's trades, oldest first
+function getTradesForUser(username) {
+    return trades.filter((t) => t.buyerId === username || t.sellerId === username);
+}
+
+/**
+ * Net quantity per contract that has not been delivered yet (positive when
+ * long), leaving out contracts where the user is flat.
+ */
+function getOpenPositions(username, now = clock.now()) {
+    const net = new Map(); // delivery_start:delivery_end -> position
+    for (const t of getTradesForUser(username)) {
+        if (!(t.delivery_end > now)) continue;
+        const key = t.delivery_start + ':' + t.delivery_end;
+        if (!net.has(key)) {
+            net.set(key, { deliveryStart: t.delivery_start, deliveryEnd: t.delivery_end, quantity: 0 });
+        }
+        const pos = net.get(key);
+        if (t.buyerId === username) pos.quantity += t.quantity;
+        if (t.sellerId === username) pos.quantity -= t.quantity;
+    }
+    return Array.from(net.values()).filter((pos) => pos.quantity !== 0);
+}
+
+function getLastTradeSeq() {
+    return lastTradeSeq;
+}
+
+/**
+ * V2 trades with seq >= fromSeq, oldest first. Fails with the oldest
+ * available seq when fromSeq has already left the replay retention.
+ */
+function getV2TradesSince(fromSeq) {
+    if (fromSeq > lastTradeSeq) return { ok: true, trades: [] };
+
+    const oldestSeq = sequencedTrades.length > 0
+        ? Math.max(sequencedTrades[0].seq, lastTradeSeq - TRADE_REPLAY_RETENTION + 1)
+        : lastTradeSeq + 1;
+    if (fromSeq < oldestSeq) {
+        return { ok: false, oldestSeq };
+    }
+
+    const offset = sequencedTrades[0].seq;
+    return { ok: true, trades: sequencedTrades.slice(fromSeq - offset) };
+}
+
 function getBalance(username) {
     return balances.get(username) || 0;
 }
 
 function setBalance(username, value) {
     balances.set(username, value);
-    saveTradesState();
+    journal.appendEvent('trades', 'BALANCE_SET', { username, balance: value });
 }
 
 
 /****************************
  * SNAPSHOT / RESTORE (for bulk ops)
  ****************************/
+// Trades are append-only, so a snapshot only remembers how far they went.
 function snapshotTrades() {
     return {
-        trades: JSON.parse(JSON.stringify(trades)),
+        tradeCount: trades.length,
+        lastTradeSeq,
         balances: new Map(balances)
     };
 }
 
 function restoreTrades(snapshot) {
-    trades.length = 0;
-    for (const t of snapshot.trades) {
-        trades.push(Object.assign({}, t));
+    trades.length = snapshot.tradeCount;
+
+    lastTradeSeq = snapshot.lastTradeSeq;
+    while (
+        sequencedTrades.length > 0 &&
+        sequencedTrades[sequencedTrades.length - 1].seq > lastTradeSeq
+    ) {
+        sequencedTrades.pop();
     }
 
     balances.clear();
     for (const [u, b] of snapshot.balances.entries()) {
         balances.set(u, b);
     }
-
-    // Ensure persistence matches restored state
-    saveTradesState();
 }
 
 
 module.exports = {
     recordTrade,
     getTrades,
+    getTradesForUser,
+    getOpenPositions,
+    getLastTradeSeq,
+    getV2TradesSince,
     getBalance,
     setBalance,
     snapshotTrades,